@@ -0,0 +1,116 @@
+/**
+ * @fileoverview auth + an audit log for the admin routes (/drop and /dead-letter)
+ * a caller is an admin if it sends ADMIN_TOKEN (Authorization: Bearer <token>, or X-Admin-Token) or connects from an address in ADMIN_IP_ALLOWLIST (IPs or CIDRs)
+ * the allowlist is checked against the connection's address, not x-forwarded-for, which any caller can set; behind a load balancer, use the token
+ * with neither set, the admin routes are off
+ * every admin action (and every refused attempt) is appended to ADMIN_AUDIT_LOG as a line of JSON, and logged
+ */
+
+const path = require('path');
+const { tmpdir } = require('os');
+const { BlockList, isIP } = require('net');
+const { appendFile, mkdir } = require('fs/promises');
+const log = require('./logger.js');
+const { safeEqual, bearer } = require('./secrets.js');
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
+const ADMIN_AUDIT_LOG = process.env.ADMIN_AUDIT_LOG ? path.resolve(process.env.ADMIN_AUDIT_LOG) : path.resolve(TEMP_DIR, 'admin-audit.ndjson');
+
+/** @type {BlockList | null | undefined} parsed on first use */
+let allowlist;
+
+/**
+ * @typedef {Object} AdminAuth
+ * @property {boolean} ok
+ * @property {'token' | 'ip'} [via]
+ * @property {string} ip the connection's address
+ * @property {number} [status] 401 or 403, when it isn't
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} action i.e. drop, redrive
+ * @property {'allowed' | 'denied' | 'rejected' | 'failed' | 'done'} outcome rejected: authorized, but the request was invalid; failed: it was carried out, and failed
+ * @property {string} [ip]
+ * @property {string} [via]
+ * @property {Object} [details]
+ */
+
+/**
+ * parses ADMIN_IP_ALLOWLIST; throws on an entry which isn't an IP or CIDR
+ * @param  {string} [value]
+ * @returns {BlockList | null} null if it's empty
+ */
+function loadAllowlist(value = process.env.ADMIN_IP_ALLOWLIST) {
+	const entries = (value || "").split(',').map(entry => entry.trim()).filter(a => a);
+	if (!entries.length) return null;
+	const list = new BlockList();
+	for (const entry of entries) {
+		const [address, bits] = entry.split('/');
+		const family = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+		if (!isIP(address) || (bits !== undefined && !/^\d+$/.test(bits))) throw new Error(`ADMIN_IP_ALLOWLIST: ${entry} is not an IP address or CIDR range`);
+		if (bits === undefined) list.addAddress(address, family);
+		else list.addSubnet(address, parseInt(bits, 10), family);
+	}
+	return list;
+}
+
+/**
+ * is this request from an admin? a token, if sent, must be right; otherwise the address must be allowed
+ * @param  {import('express').Request} req
+ * @param  {{token?: string, allowlist?: BlockList | null}} [settings]
+ * @returns {AdminAuth}
+ */
+function authorize(req, settings = { token: process.env.ADMIN_TOKEN || "", allowlist: getAllowlist() }) {
+	const { token = "", allowlist = null } = settings;
+	const ip = normalize(req.socket?.remoteAddress || req.connection?.remoteAddress || "");
+	if (!token && !allowlist) return { ok: false, ip, status: 403, reason: 'admin routes are off; set ADMIN_TOKEN or ADMIN_IP_ALLOWLIST' };
+
+	const sent = bearer(req.headers?.authorization) || req.headers?.['x-admin-token']?.toString() || "";
+	if (sent) {
+		if (token && safeEqual(sent, token)) return { ok: true, ip, via: 'token' };
+		return { ok: false, ip, status: 401, reason: 'invalid admin token' };
+	}
+	if (allowlist && ip && allowlist.check(ip, isIP(ip) === 6 ? 'ipv6' : 'ipv4')) return { ok: true, ip, via: 'ip' };
+	return { ok: false, ip, status: token ? 401 : 403, reason: token ? 'admin token required' : `${ip} is not in ADMIN_IP_ALLOWLIST` };
+}
+
+/**
+ * appends an entry to the audit log (and logs it); never throws, so an unwritable log doesn't fail the action
+ * @param  {AuditEntry} entry
+ */
+async function audit(entry) {
+	const line = { time: new Date().toISOString(), ...entry };
+	log(`[AUDIT] ${entry.action} ${entry.outcome}${entry.ip ? ` from ${entry.ip}` : ''}${entry.via ? ` (${entry.via})` : ''}`, entry.details || {});
+	try {
+		await mkdir(path.dirname(ADMIN_AUDIT_LOG), { recursive: true });
+		await appendFile(ADMIN_AUDIT_LOG, JSON.stringify(line) + '\n');
+	}
+	catch (e) {
+		log(`[AUDIT] could not write to ${ADMIN_AUDIT_LOG}: ${e.message}`);
+	}
+}
+
+// HELPERS
+
+function getAllowlist() {
+	if (allowlist === undefined) allowlist = loadAllowlist();
+	return allowlist;
+}
+
+/**
+ * ipv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+ * @param  {string} ip
+ */
+function normalize(ip) {
+	return ip.startsWith('::ffff:') && isIP(ip.slice(7)) === 4 ? ip.slice(7) : ip;
+}
+
+module.exports = {
+	loadAllowlist,
+	authorize,
+	audit,
+	ADMIN_AUDIT_LOG
+};
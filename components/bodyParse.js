@@ -1,19 +1,138 @@
 /**
  * @fileoverview body parser middleware for express
+ * compressed bodies (Content-Encoding: gzip, deflate, br) are decompressed before parsing, up to MAX_BODY_BYTES (decompressed) to guard against zip bombs
+ * newline-delimited JSON (application/x-ndjson) is parsed as an array of records
+ * the body as it was sent (before decompression) is kept on req.rawBody, for verifying signatures (see ingestAuth)
  */
 
 const bodyParser = require('body-parser');
+const zlib = require('zlib');
+const log = require('./logger.js');
+
+const DEFAULT_MAX_BODY_BYTES = 50 * 1024 * 1024;
+const DECODERS = {
+	gzip: () => zlib.createGunzip(),
+	'x-gzip': () => zlib.createGunzip(),
+	deflate: () => zlib.createInflate(),
+	br: () => zlib.createBrotliDecompress()
+};
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'];
 
 module.exports = function (app) {
-	app.use(bodyParser.json({limit: '50mb'}));
-	app.use(bodyParser.urlencoded({ extended: true, limit: '50mb'}));
-	app.use(bodyParser.text({ type: 'text/plain', limit: '50mb'}));
+	const limit = parseInt(process.env.MAX_BODY_BYTES || "") || DEFAULT_MAX_BODY_BYTES;
+	// compressed + ndjson bodies are parsed here; the parsers below skip any request we've handled
+	app.use(decodeBody(limit));
+	app.use(bodyParser.json({ limit, verify: keepRaw }));
+	app.use(bodyParser.urlencoded({ extended: true, limit, verify: keepRaw }));
+	app.use(bodyParser.text({ type: 'text/plain', limit, verify: keepRaw }));
 
 	// CATCHING ERRORS
 	app.use((err, req, res, next) => {
 		console.error(err.stack);
-		res.status(500).send(`Something went wrong!\n\n${err?.message || err}`);
+		res.status(err.status || 500).send(`Something went wrong!\n\n${err?.message || err}`);
 	});
 
 
-};
\ No newline at end of file
+};
+
+/**
+ * decompresses (and parses) bodies body-parser can't: brotli, gzip / deflate of any content type, and ndjson
+ * @param  {number} limit the most bytes a body may decompress to
+ */
+function decodeBody(limit) {
+	return async (req, res, next) => {
+		const encoding = (req.headers['content-encoding'] || 'identity').toString().trim().toLowerCase();
+		const contentType = (req.headers['content-type'] || '').toString().split(';')[0].trim().toLowerCase();
+		if (encoding === 'identity' && !NDJSON_TYPES.includes(contentType)) return next();
+		if (encoding !== 'identity' && !DECODERS[encoding]) return res.status(415).send(`unsupported Content-Encoding: ${encoding}`);
+
+		let body;
+		try {
+			const { decoded, raw } = await readBody(req, encoding === 'identity' ? null : DECODERS[encoding](), limit);
+			req.rawBody = raw;
+			body = parseBody(decoded.toString('utf-8'), contentType);
+		}
+		catch (e) {
+			log(`[BODY] could not read a ${encoding} ${contentType || 'untyped'} body: ${e.message}`);
+			return res.status(e.status || 400).send(e.message);
+		}
+
+		req.body = body;
+		// tells body-parser the body has been read
+		req._body = true;
+		next();
+	};
+}
+
+/**
+ * body-parser's verify hook; keeps the bytes it read
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @param  {Buffer} buf
+ */
+function keepRaw(req, res, buf) {
+	// @ts-ignore
+	req.rawBody = buf;
+}
+
+/**
+ * reads a request, decompressing it if needed; stops as soon as the (decompressed) body is over the limit
+ * @param  {import('express').Request} req
+ * @param  {import('stream').Transform | null} decoder
+ * @param  {number} limit
+ * @returns {Promise<{decoded: Buffer, raw: Buffer}>}
+ */
+function readBody(req, decoder, limit) {
+	return new Promise((resolve, reject) => {
+		const stream = decoder ? req.pipe(decoder) : req;
+		const chunks = [];
+		const rawChunks = [];
+		let size = 0;
+		let done = false;
+		const fail = (status, message) => {
+			if (done) return;
+			done = true;
+			if (decoder) {
+				req.unpipe(decoder);
+				decoder.destroy();
+			}
+			// drain whatever is left, so the response can still be sent
+			req.resume();
+			reject(Object.assign(new Error(message), { status }));
+		};
+
+		stream.on('data', chunk => {
+			size += chunk.length;
+			if (size > limit) return fail(413, `body is larger than ${limit} bytes (decompressed)`);
+			chunks.push(chunk);
+		});
+		stream.on('end', () => {
+			if (done) return;
+			done = true;
+			const decoded = Buffer.concat(chunks);
+			resolve({ decoded, raw: decoder ? Buffer.concat(rawChunks) : decoded });
+		});
+		stream.on('error', e => fail(400, `could not decompress body: ${e.message}`));
+		if (decoder) {
+			req.on('data', chunk => rawChunks.push(chunk));
+			req.on('error', e => fail(400, e.message));
+		}
+	});
+}
+
+/**
+ * parses a decoded body like body-parser would; anything which isn't json, ndjson or a form is left as text (parseSDKData knows the rest)
+ * @param  {string} text
+ * @param  {string} contentType
+ */
+function parseBody(text, contentType) {
+	try {
+		if (NDJSON_TYPES.includes(contentType)) return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+		if (contentType === 'application/json' || contentType.endsWith('+json')) return text.trim() ? JSON.parse(text) : {};
+	}
+	catch (e) {
+		throw Object.assign(new Error(`body is not valid ${NDJSON_TYPES.includes(contentType) ? 'NDJSON' : 'JSON'}: ${e.message}`), { status: 400 });
+	}
+	if (contentType === 'application/x-www-form-urlencoded') return Object.fromEntries(new URLSearchParams(text));
+	return text;
+}
@@ -1,33 +1,101 @@
 /**
  * @fileoverview CORS Configuration to add the right headers to the response
- * note: if FRONTEND_URL is not provided, the CSP headers will be set to the most permissive (unsafe)
+ * FRONTEND_URL is a comma-separated allowlist of origins; `https://*.example.com` allows any subdomain of example.com (but not example.com itself)
+ * an allowed origin is echoed back (with credentials, which the SDK sends) and `Vary: Origin`; a request from any other origin is refused with a 403
+ * requests without an Origin (servers, scripts) are not affected; `*` (or leaving FRONTEND_URL unset) allows every origin
+ * CORS_ALLOWED_HEADERS and CORS_MAX_AGE (seconds a browser may cache a preflight) tune the preflight response
  */
 
-module.exports = function (app, FRONTEND_URL = "") {
+const log = require('./logger.js');
+
+const DEFAULT_ALLOWED_HEADERS = 'Content-Type, Authorization';
+const DEFAULT_MAX_AGE = 600;
+const ALLOWED_METHODS = 'GET, POST, OPTIONS';
+
+/**
+ * @typedef {Object} OriginAllowlist
+ * @property {boolean} any every origin is allowed
+ * @property {Set<string>} exact
+ * @property {RegExp[]} patterns
+ */
+
+/**
+ * parses FRONTEND_URL; throws on an entry which isn't an origin
+ * @param  {string} value i.e. https://example.com,https://*.example.com
+ * @returns {OriginAllowlist}
+ */
+function parseOrigins(value = "") {
+	const entries = value.split(',').map(entry => entry.trim()).filter(a => a && a.toLowerCase() !== 'none');
+	/** @type {OriginAllowlist} */
+	const allowlist = { any: !entries.length, exact: new Set(), patterns: [] };
+	for (const entry of entries) {
+		if (entry === '*') {
+			allowlist.any = true;
+			continue;
+		}
+		let origin;
+		try {
+			origin = new URL(entry).origin;
+		}
+		catch (e) {
+			origin = 'null';
+		}
+		if (origin === 'null' || !/^https?:\/\/(\*\.)?[^*]+$/.test(origin)) throw new Error(`FRONTEND_URL: ${entry} is not an origin (i.e. https://example.com or https://*.example.com)`);
+		if (!origin.includes('*')) allowlist.exact.add(origin);
+		else {
+			const [scheme, rest] = origin.split('://*.');
+			allowlist.patterns.push(new RegExp(`^${escape(scheme)}://[a-z0-9-]+(\\.[a-z0-9-]+)*\\.${escape(rest)}$`));
+		}
+	}
+	return allowlist;
+}
+
+/**
+ * @param  {string} origin the Origin header
+ * @param  {OriginAllowlist} allowlist
+ * @returns {boolean}
+ */
+function isAllowed(origin, allowlist) {
+	if (allowlist.any) return true;
+	const normalized = origin.toLowerCase().replace(/\/$/, '');
+	return allowlist.exact.has(normalized) || allowlist.patterns.some(pattern => pattern.test(normalized));
+}
+
+function setupCORS(app, FRONTEND_URL = "") {
+	const allowlist = parseOrigins(FRONTEND_URL);
+	const allowedHeaders = process.env.CORS_ALLOWED_HEADERS || DEFAULT_ALLOWED_HEADERS;
+	const maxAge = parseInt(process.env.CORS_MAX_AGE || "", 10);
+	if (allowlist.any) log(`[CORS] allowing requests from any origin`);
+
 	// CORS Middleware
 	app.use((req, res, next) => {
-		res.header('Access-Control-Allow-Origin', FRONTEND_URL || req.headers.origin || "*");
-		res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-		res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-		res.header('Access-Control-Allow-Credentials', 'true');
-		if (!FRONTEND_URL) {
-			// Most permissive CSP headers (unsafe)
-			res.header('Content-Security-Policy', "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' *; connect-src *; img-src * data:; style-src 'unsafe-inline' *;");
+		const origin = req.headers.origin;
+		// the answer depends on the origin, so caches must not share it between origins
+		res.vary('Origin');
+		if (origin && !isAllowed(origin, allowlist)) return res.status(403).send({ error: `origin ${origin} is not allowed` });
+
+		// echoed back even when every origin is allowed: the SDK sends credentials, and browsers refuse a * answer to those
+		if (origin) {
+			res.header('Access-Control-Allow-Origin', origin);
+			res.header('Access-Control-Allow-Credentials', 'true');
+		}
+		if (req.method === 'OPTIONS') {
+			res.header('Access-Control-Allow-Methods', ALLOWED_METHODS);
+			res.header('Access-Control-Allow-Headers', allowedHeaders);
+			res.header('Access-Control-Max-Age', String(isNaN(maxAge) ? DEFAULT_MAX_AGE : maxAge));
+			return res.sendStatus(204);
 		}
 		next();
 	});
 
-	// CORS Options
-	app.options('*', (req, res) => {
-		res.header('Access-Control-Allow-Origin',  FRONTEND_URL || req.headers.origin || "*");
-		res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-		res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-		res.header('Access-Control-Allow-Credentials', 'true');
-		if (!FRONTEND_URL) {
-			// Most permissive CSP headers (unsafe)
-			res.header('Content-Security-Policy', "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' *; connect-src *; img-src * data:; style-src 'unsafe-inline' *;");
-		}
-		res.sendStatus(200);
-	});
+}
+
+// HELPERS
+
+function escape(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-};
+setupCORS.parseOrigins = parseOrigins;
+setupCORS.isAllowed = isAllowed;
+module.exports = setupCORS;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview a dead-letter store for batches that could not be delivered (retries exhausted, partial failures, etc...)
+ * each batch is one NDJSON file on local disk; every line carries the failure metadata + the original record
+ * batches can optionally be mirrored to one of the configured lakes (s3, gcs, azure); the mirrored copy gets the lake's privacy rules
+ */
+
+const path = require('path');
+const { tmpdir } = require('os');
+const { writeFile, readFile, readdir, rm, mkdir } = require('fs/promises');
+const { randomUUID } = require('crypto');
+const log = require('./logger.js');
+const metrics = require('./metrics.js');
+const privacy = require('./privacy.js');
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
+const DEAD_LETTER_DIR = process.env.DEAD_LETTER_DIR ? path.resolve(process.env.DEAD_LETTER_DIR) : path.resolve(TEMP_DIR, 'dead-letter');
+const DEAD_LETTER_PREFIX = process.env.DEAD_LETTER_PREFIX || 'dead_letter';
+
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').DeadLetterMeta} DeadLetterMeta */
+
+/** @type {{name: string, api: function} | null} */
+let lake = null;
+
+/**
+ * mirror every dead-lettered batch into a lake middleware
+ * @param  {string} name
+ * @param  {function} api the lake's main() function
+ */
+function useLake(name, api) {
+	lake = { name, api };
+	log(`[DEAD LETTER] mirroring dead-lettered batches to ${name} under ${DEAD_LETTER_PREFIX}/`);
+}
+
+/**
+ * persist a failed batch
+ * @param  {Object[]} records
+ * @param  {{destination: string, type: Endpoints, table: string, error: string, attempts: number, mirror?: boolean, urls?: string[]}} meta urls: (http) the ones which failed
+ * @returns {Promise<string>} the dead letter id
+ */
+async function write(records, meta) {
+	const { destination, type, table, error, attempts, mirror = true, urls } = meta;
+	const failed_at = new Date().toISOString();
+	const id = `${failed_at.replace(/[:.]/g, '-')}_${destination}_${randomUUID()}`;
+	const lines = records.map(record => ({ dead_letter_id: id, failed_at, destination, type, table, error, attempts, ...(urls ? { urls } : {}), record }));
+
+	await mkdir(DEAD_LETTER_DIR, { recursive: true });
+	await writeFile(filePath(id), lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+	log(`[DEAD LETTER] stored ${records.length} ${type} records which failed in ${destination}`, { id, error, attempts });
+	metrics.recordDeadLetter(destination, type, records.length);
+
+	// batches the lake itself could not write are not mirrored back into it
+	if (lake && mirror) {
+		const prefix = `${DEAD_LETTER_PREFIX}/${destination}`;
+		// the local copy keeps what the destination was sent (to re-drive it); the lake gets what it would have been sent
+		// (i.e. a destination with "mixpanel": [] dead-letters raw records), unless they already had the lake's rules applied
+		const rules = privacy.rulesFor(lake.name);
+		const mirrored = rules === privacy.rulesFor(destination) ? lines : lines.map(line => ({ ...line, record: privacy.redactRecords([line.record], rules)[0] }));
+		try {
+			await lake.api(mirrored, type, { eventTable: prefix, userTable: prefix, groupTable: prefix });
+		}
+		catch (e) {
+			log(`[DEAD LETTER] failed to mirror ${id} to ${lake.name}`, e);
+		}
+	}
+
+	return id;
+}
+
+/**
+ * list every dead-lettered batch (newest first)
+ * @returns {Promise<DeadLetterMeta[]>}
+ */
+async function list() {
+	let files = [];
+	try {
+		files = (await readdir(DEAD_LETTER_DIR)).filter(f => f.endsWith('.ndjson'));
+	}
+	catch (e) {
+		if (e.code === 'ENOENT') return [];
+		throw e;
+	}
+
+	const batches = [];
+	for (const file of files) {
+		const batch = await get(path.basename(file, '.ndjson'));
+		if (!batch) continue;
+		const { records, ...meta } = batch;
+		batches.push({ ...meta, records: records.length });
+	}
+	return batches.sort((a, b) => b.failed_at.localeCompare(a.failed_at));
+}
+
+/**
+ * read a dead-lettered batch
+ * @param  {string} id
+ * @returns {Promise<DeadLetterMeta & {records: Object[]} | null>}
+ */
+async function get(id) {
+	if (!isValidId(id)) return null;
+	let contents;
+	try {
+		contents = await readFile(filePath(id), 'utf-8');
+	}
+	catch (e) {
+		if (e.code === 'ENOENT') return null;
+		throw e;
+	}
+	const lines = contents.split('\n').filter(a => a).map(line => JSON.parse(line));
+	if (!lines.length) return null;
+	const { destination, type, table, error, attempts, failed_at, urls } = lines[0];
+	return { id, destination, type, table, error, attempts, failed_at, ...(urls ? { urls } : {}), records: lines.map(line => line.record) };
+}
+
+/**
+ * delete a dead-lettered batch (i.e. after it was re-driven)
+ * @param  {string} id
+ */
+async function remove(id) {
+	if (!isValidId(id)) return false;
+	await rm(filePath(id), { force: true });
+	return true;
+}
+
+// HELPERS
+function isValidId(id) {
+	return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
+
+function filePath(id) {
+	return path.resolve(DEAD_LETTER_DIR, `${id}.ndjson`);
+}
+
+module.exports = {
+	write,
+	list,
+	get,
+	remove,
+	useLake
+};
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview drops events we have already delivered, by insert_id (like mixpanel does), when DEDUPE=true
+ * the request pipeline keeps a window of the last DEDUPE_WINDOW insert_ids (for at most DEDUPE_WINDOW_SECONDS), so an SDK resend is dropped
+ * ids are only remembered once a batch has been handled (delivered, queued in the WAL, or dead-lettered); a batch we failed on is still accepted when it is resent
+ * the window is per process; the warehouses also write events idempotently (see bigquery, snowflake, redshift and lakeBuffer)
+ */
+
+const log = require('./logger.js');
+
+/**
+ * a bounded set of recently seen ids; the oldest are forgotten first
+ * @typedef {Object} DedupeWindow
+ * @property {(id: string) => boolean} has
+ * @property {(id: string) => void} add
+ * @property {() => number} size
+ */
+
+/** @type {DedupeWindow | null} */
+let requestWindow = null;
+
+/**
+ * @returns {boolean}
+ */
+function isEnabled() {
+	return process.env.DEDUPE?.toString()?.toLowerCase() === 'true';
+}
+
+/**
+ * @param  {{size?: number, seconds?: number}} [options]
+ * @returns {DedupeWindow}
+ */
+function createWindow({ size = 100000, seconds = 3600 } = {}) {
+	/** @type {Map<string, number>} id -> when it expires; in insertion order */
+	const ids = new Map();
+
+	function prune(now) {
+		for (const [id, expires] of ids) {
+			if (expires > now && ids.size <= size) break;
+			ids.delete(id);
+		}
+	}
+
+	return {
+		has(id) {
+			const expires = ids.get(id);
+			if (expires === undefined) return false;
+			if (expires > Date.now()) return true;
+			ids.delete(id);
+			return false;
+		},
+		add(id) {
+			// re-adding an id moves it to the back
+			ids.delete(id);
+			ids.set(id, Date.now() + seconds * 1000);
+			prune(Date.now());
+		},
+		size() {
+			return ids.size;
+		}
+	};
+}
+
+/**
+ * an event's insert_id, from the SDK's payload ($insert_id) or a flat / schematized record (insert_id)
+ * @param  {Object} record
+ * @returns {string | null}
+ */
+function insertIdOf(record) {
+	const id = record?.insert_id ?? record?.$insert_id ?? record?.properties?.$insert_id ?? record?.properties?.insert_id;
+	if (id === undefined || id === null || id === '') return null;
+	return String(id);
+}
+
+/**
+ * splits records into the ones to keep and the duplicates: ids in the window, or repeated within the records
+ * records without an insert_id are always kept
+ * @param  {Object[]} records
+ * @param  {{has: (id: string) => boolean}} [window] a DedupeWindow (or a Set)
+ * @returns {{unique: Object[], duplicates: Object[]}}
+ */
+function dropDuplicates(records, window) {
+	const seen = new Set();
+	const unique = [];
+	const duplicates = [];
+	for (const record of records) {
+		const id = insertIdOf(record);
+		if (id && (seen.has(id) || window?.has(id))) {
+			duplicates.push(record);
+			continue;
+		}
+		if (id) seen.add(id);
+		unique.push(record);
+	}
+	return { unique, duplicates };
+}
+
+/**
+ * @param  {Object[]} records
+ * @param  {DedupeWindow} window
+ */
+function remember(records, window) {
+	for (const record of records) {
+		const id = insertIdOf(record);
+		if (id) window.add(id);
+	}
+}
+
+/**
+ * the request pipeline's window; sized by DEDUPE_WINDOW + DEDUPE_WINDOW_SECONDS
+ * @returns {DedupeWindow}
+ */
+function getRequestWindow() {
+	if (!requestWindow) {
+		const size = parseInt(process.env.DEDUPE_WINDOW || "100000", 10) || 100000;
+		const seconds = parseInt(process.env.DEDUPE_WINDOW_SECONDS || "3600", 10) || 3600;
+		requestWindow = createWindow({ size, seconds });
+		log(`[DEDUPE] remembering up to ${size} insert_ids for ${seconds}s`);
+	}
+	return requestWindow;
+}
+
+module.exports = {
+	isEnabled,
+	createWindow,
+	insertIdOf,
+	dropDuplicates,
+	remember,
+	getRequestWindow
+};
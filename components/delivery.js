@@ -0,0 +1,227 @@
+/**
+ * @fileoverview "acknowledge-then-deliver" fan-out: every destination gets its own worker with its own
+ * concurrency limit, batch size and retry policy, so one slow warehouse doesn't hold the SDK's request open
+ * accepted records are written to the WAL (one stream per destination) before the request is answered,
+ * and a destination's segment is only committed once every batch in it was delivered (or dead-lettered)
+ */
+
+const { sleep } = require("ak-tools");
+const log = require("./logger.js");
+const wal = require("./wal.js");
+const deadLetter = require("./deadLetter.js");
+const metrics = require("./metrics.js");
+const tracing = require("./tracing.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+if (NODE_ENV === "test") {
+	log.verbose(true);
+	log.cli(true);
+}
+
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').DeliverySettings} DeliverySettings */
+
+/**
+ * @typedef {Object} Worker
+ * @property {string} name
+ * @property {function} api the middleware's main() function
+ * @property {TableNames} tableNames
+ * @property {DeliverySettings} settings
+ * @property {{segment: number, type: Endpoints, records: Object[]}[]} pending
+ * @property {Promise<void> | null} busy
+ */
+
+/** @type {Map<string, Worker>} */
+const workers = new Map();
+
+/**
+ * creates a worker for each destination and re-enqueues anything a previous process left in the WAL
+ * @param  {{name: string, api: function}[]} destinations
+ * @param  {TableNames} tableNames
+ */
+function start(destinations, tableNames) {
+	for (const { name, api } of destinations) {
+		if (workers.has(name)) continue;
+		/** @type {Worker} */
+		const worker = { name, api, tableNames, settings: getSettings(name), pending: [], busy: null };
+		workers.set(name, worker);
+
+		const recovered = wal.replay(streamName(name));
+		for (const { type, records } of recovered) worker.pending.push({ segment: 0, type, records });
+		if (recovered.length) {
+			log(`[DELIVERY] recovered ${recovered.length} batches for ${name} from the WAL; delivering...`);
+			pump(worker);
+		}
+	}
+}
+
+/**
+ * durably accepts records for each destination and delivers them in the background
+ * @param  {Endpoints} type
+ * @param  {{name: string, records: Object[]}[]} payloads
+ */
+function accept(type, payloads) {
+	for (const { name, records } of payloads) {
+		const worker = workers.get(name);
+		if (!worker) throw new Error(`no delivery worker for ${name}`);
+		if (!records.length) continue;
+		const segment = wal.append(streamName(name), [{ type, records }]);
+		worker.pending.push({ segment, type, records });
+		pump(worker);
+	}
+}
+
+/**
+ * the number of records waiting to be delivered, per destination
+ * @returns {Object<string, number>}
+ */
+function depth() {
+	const result = {};
+	for (const [name, worker] of workers) {
+		result[name] = worker.pending.reduce((sum, item) => sum + item.records.length, 0);
+	}
+	return result;
+}
+
+/**
+ * resolves once every worker is idle (i.e. before shutting down)
+ */
+async function drain() {
+	while ([...workers.values()].some(w => w.busy || w.pending.length)) {
+		workers.forEach(pump);
+		await Promise.all([...workers.values()].map(w => w.busy));
+	}
+}
+
+/**
+ * delivers everything in the sealed segment(s) for a worker; one segment at a time
+ * @param  {Worker} worker
+ */
+function pump(worker) {
+	if (worker.busy || !worker.pending.length) return;
+	worker.busy = (async () => {
+		const stream = streamName(worker.name);
+		const sealed = wal.seal(stream);
+		const items = worker.pending.filter(item => item.segment <= sealed);
+		worker.pending = worker.pending.filter(item => item.segment > sealed);
+
+		const { batchSize, concurrency } = worker.settings;
+		const tasks = [];
+		for (const type of ['track', 'engage', 'groups']) {
+			const records = items.filter(item => item.type === type).flatMap(item => item.records);
+			for (let i = 0; i < records.length; i += batchSize) {
+				const batch = records.slice(i, i + batchSize);
+				const attributes = { 'proxy.destination': worker.name, 'proxy.endpoint': type, 'proxy.records': batch.length };
+				// @ts-ignore
+				tasks.push(() => tracing.withSpan(`deliver ${worker.name}`, attributes, () => deliverBatch(worker, type, batch)));
+			}
+		}
+
+		try {
+			await runWithConcurrency(tasks, concurrency);
+			wal.commit(stream, sealed);
+		}
+		catch (e) {
+			// only possible if we could not dead-letter; keep the segment + retry later
+			log(`[DELIVERY] could not deliver or dead-letter a batch for ${worker.name}; keeping it in the WAL`, e);
+			worker.pending.unshift(...items);
+			await sleep(worker.settings.backoff);
+		}
+	})().finally(() => {
+		worker.busy = null;
+		pump(worker);
+	});
+}
+
+/**
+ * sends one batch with the worker's retry policy; batches that never succeed are dead-lettered
+ * @param  {Worker} worker
+ * @param  {Endpoints} type
+ * @param  {Object[]} batch
+ */
+async function deliverBatch(worker, type, batch) {
+	const { name, api, tableNames, settings } = worker;
+	let lastError = "";
+	let attempt = 0;
+	while (attempt < settings.maxRetries) {
+		attempt++;
+		const start = Date.now();
+		try {
+			/** @type {InsertResult} */
+			const result = await api(batch, type, tableNames);
+			metrics.recordInsert(name, type, batch.length, result, (Date.now() - start) / 1000);
+			if (result?.status !== 'error' || result?.deadLetter) {
+				tracing.setAttributes({ 'proxy.result.status': result?.status || 'unknown', 'proxy.attempts': attempt });
+				log(`[DELIVERY] delivered ${batch.length} ${type} records to ${name}`);
+				return result;
+			}
+			lastError = result?.errorMessage || result?.errors?.join?.('; ') || "unknown error";
+		}
+		catch (e) {
+			metrics.recordInsert(name, type, batch.length, null, (Date.now() - start) / 1000);
+			lastError = e.message;
+			attempt = Math.max(attempt, e.attempts || 0);
+		}
+
+		if (attempt < settings.maxRetries) {
+			const waitTime = Math.min(settings.backoff * 2 ** (attempt - 1), 30000);
+			log(`[DELIVERY] ${name} failed (${lastError}); retry attempt #${attempt} (waiting ${waitTime} ms)`);
+			tracing.addEvent('retry', { attempt, wait_ms: waitTime, error: lastError });
+			await sleep(waitTime);
+		}
+	}
+
+	log(`[DELIVERY] giving up on ${batch.length} ${type} records for ${name} after ${attempt} attempts`);
+	tracing.setAttributes({ 'proxy.result.status': 'dead-lettered', 'proxy.attempts': attempt });
+	const table = type === 'track' ? tableNames.eventTable : type === 'engage' ? tableNames.userTable : tableNames.groupTable;
+	return await deadLetter.write(batch, { destination: name, type, table, error: lastError, attempts: attempt });
+}
+
+// HELPERS
+
+/**
+ * per-destination overrides: DELIVERY_<NAME>_CONCURRENCY, DELIVERY_<NAME>_BATCH_SIZE, etc...
+ * @param  {string} name
+ * @returns {DeliverySettings}
+ */
+function getSettings(name) {
+	const setting = (key, fallback) => {
+		const value = process.env[`DELIVERY_${name.toUpperCase()}_${key}`] || process.env[`DELIVERY_${key}`];
+		const parsed = parseInt(value || "", 10);
+		return isNaN(parsed) ? fallback : parsed;
+	};
+	return {
+		concurrency: Math.max(setting('CONCURRENCY', 2), 1),
+		batchSize: Math.max(setting('BATCH_SIZE', 500), 1),
+		maxRetries: Math.max(setting('MAX_RETRIES', 5), 1),
+		backoff: Math.max(setting('BACKOFF_MS', 1000), 0)
+	};
+}
+
+function streamName(name) {
+	return `delivery-${name}`;
+}
+
+/**
+ * @param  {(() => Promise<any>)[]} tasks
+ * @param  {number} concurrency
+ */
+async function runWithConcurrency(tasks, concurrency) {
+	const queue = tasks.slice();
+	const lanes = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+		while (queue.length) {
+			const task = queue.shift();
+			if (task) await task();
+		}
+	});
+	await Promise.all(lanes);
+}
+
+module.exports = {
+	start,
+	accept,
+	depth,
+	drain
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview a deep health check for /health + /ready: each active destination's readiness flags (set by its init) and,
+ * optionally (HEALTH_PROBE=true or ?probe=1), a cheap live probe with a timeout; probe results are cached for HEALTH_CACHE_SECONDS
+ * so a load balancer polling every few seconds doesn't query the warehouses every few seconds
+ * the proxy is unhealthy (503) when any of the HEALTH_CRITICAL destinations is (default: all of them); otherwise it's healthy or degraded
+ */
+
+const log = require('./logger.js');
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {boolean} ok
+ * @property {number} duration_ms
+ * @property {string} checked_at
+ * @property {string} [error]
+ * @property {boolean} [cached]
+ */
+
+/**
+ * @typedef {Object} DestinationHealth
+ * @property {string} name
+ * @property {boolean} critical
+ * @property {boolean} healthy
+ * @property {Object<string, boolean>} ready the middleware's readiness flags
+ * @property {ProbeResult} [probe]
+ */
+
+/**
+ * @typedef {Object} HealthOptions
+ * @property {boolean} [probe] run the live probes
+ * @property {number} [timeoutMs]
+ * @property {number} [cacheSeconds]
+ * @property {string[] | null} [critical] null = every destination
+ */
+
+/** @type {Map<string, {expires: number, result: Promise<ProbeResult>}>} */
+const probeCache = new Map();
+
+/**
+ * HEALTH_PROBE, HEALTH_PROBE_TIMEOUT_MS, HEALTH_CACHE_SECONDS, HEALTH_CRITICAL
+ * @returns {Required<HealthOptions>}
+ */
+function getSettings() {
+	const { HEALTH_PROBE = "", HEALTH_PROBE_TIMEOUT_MS = "", HEALTH_CACHE_SECONDS = "", HEALTH_CRITICAL = "" } = process.env;
+	const cacheSeconds = parseInt(HEALTH_CACHE_SECONDS, 10);
+	const critical = HEALTH_CRITICAL.split(',').map(name => name.trim().toLowerCase()).filter(a => a);
+	return {
+		probe: HEALTH_PROBE.toLowerCase() === 'true',
+		timeoutMs: parseInt(HEALTH_PROBE_TIMEOUT_MS, 10) || 2000,
+		cacheSeconds: isNaN(cacheSeconds) ? 30 : Math.max(cacheSeconds, 0),
+		// `none` means nothing is critical: /health only reports
+		critical: !critical.length ? null : critical.includes('none') ? [] : critical
+	};
+}
+
+/**
+ * @param  {{name: string, api: Object}[]} destinations the active middleware
+ * @param  {HealthOptions} [options] overrides for the env settings
+ * @returns {Promise<{status: 'healthy' | 'degraded' | 'unhealthy', destinations: DestinationHealth[]}>}
+ */
+async function checkHealth(destinations, options = {}) {
+	const { probe, timeoutMs, cacheSeconds, critical } = { ...getSettings(), ...options };
+
+	const reports = await Promise.all(destinations.map(async ({ name, api }) => {
+		const ready = typeof api.status === 'function' ? api.status() : {};
+		/** @type {DestinationHealth} */
+		const report = { name, critical: !critical || critical.includes(name.toLowerCase()), healthy: Object.values(ready).every(Boolean), ready };
+		if (probe && typeof api.probe === 'function') {
+			report.probe = await runProbe(name, api.probe, timeoutMs, cacheSeconds);
+			report.healthy = report.healthy && report.probe.ok;
+		}
+		return report;
+	}));
+
+	let status = 'healthy';
+	if (reports.some(report => !report.healthy)) status = 'degraded';
+	if (reports.some(report => report.critical && !report.healthy)) status = 'unhealthy';
+	// @ts-ignore
+	return { status, destinations: reports };
+}
+
+/**
+ * forgets cached probe results
+ */
+function clearCache() {
+	probeCache.clear();
+}
+
+// HELPERS
+
+/**
+ * runs (or reuses) a destination's probe; concurrent checks share one probe
+ * @param  {string} name
+ * @param  {() => Promise<any>} probe
+ * @param  {number} timeoutMs
+ * @param  {number} cacheSeconds
+ * @returns {Promise<ProbeResult>}
+ */
+async function runProbe(name, probe, timeoutMs, cacheSeconds) {
+	const cached = probeCache.get(name);
+	if (cached && cached.expires > Date.now()) return { ...(await cached.result), cached: true };
+
+	const result = timed(probe, timeoutMs).then(outcome => {
+		if (!outcome.ok) log(`[HEALTH] ${name} probe failed: ${outcome.error}`);
+		// the cache starts once the probe is done
+		probeCache.set(name, { expires: Date.now() + cacheSeconds * 1000, result });
+		return outcome;
+	});
+	probeCache.set(name, { expires: Infinity, result });
+	return await result;
+}
+
+/**
+ * @param  {() => Promise<any>} probe
+ * @param  {number} timeoutMs
+ * @returns {Promise<ProbeResult>}
+ */
+async function timed(probe, timeoutMs) {
+	const start = Date.now();
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+	});
+	try {
+		await Promise.race([probe(), timeout]);
+		return { ok: true, duration_ms: Date.now() - start, checked_at: new Date().toISOString() };
+	}
+	catch (e) {
+		return { ok: false, duration_ms: Date.now() - start, checked_at: new Date().toISOString(), error: e?.message || String(e) };
+	}
+	finally {
+		clearTimeout(timer);
+	}
+}
+
+module.exports = {
+	checkHealth,
+	clearCache
+};
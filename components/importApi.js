@@ -0,0 +1,125 @@
+/**
+ * @fileoverview the server-side /import endpoint, which mirrors mixpanel's /import API (https://developer.mixpanel.com/reference/import-events)
+ * callers authenticate like they would with mixpanel: basic auth with the project secret (`secret:`) or a service account (`username:secret`),
+ * which must match MIXPANEL_API_SECRET or MIXPANEL_SERVICE_ACCOUNT; the same credentials are used to forward the events to mixpanel's /import
+ * every record is validated like mixpanel's strict mode; valid records are delivered, invalid ones are reported (by index) and dropped
+ */
+
+const { safeEqual } = require('./secrets.js');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_PROPERTIES = 255;
+// time may be up to an hour in the future (clock skew), like mixpanel allows
+const MAX_FUTURE_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ImportFailure
+ * @property {number} index the record's position in the request
+ * @property {string | null} $insert_id
+ * @property {string} field
+ * @property {string} message
+ */
+
+/**
+ * the credentials /import accepts (and forwards to mixpanel)
+ * @returns {{secret: string, serviceAccount: string, projectId: string}}
+ */
+function credentials() {
+	return {
+		secret: process.env.MIXPANEL_API_SECRET || "",
+		serviceAccount: process.env.MIXPANEL_SERVICE_ACCOUNT || "",
+		projectId: process.env.MIXPANEL_PROJECT_ID || ""
+	};
+}
+
+/**
+ * @returns {boolean} whether /import has credentials to check against
+ */
+function isEnabled() {
+	const { secret, serviceAccount } = credentials();
+	return Boolean(secret || serviceAccount);
+}
+
+/**
+ * checks a request's Authorization header
+ * @param  {string} [header] i.e. Basic c2VjcmV0Og==
+ * @returns {{ok: boolean, error?: string}}
+ */
+function authenticate(header = "") {
+	const [scheme, encoded = ""] = header.split(' ');
+	if (scheme?.toLowerCase() !== 'basic' || !encoded) return { ok: false, error: 'basic auth with a project secret or service account is required' };
+	const decoded = Buffer.from(encoded, 'base64').toString('utf-8');
+	const { secret, serviceAccount } = credentials();
+	// the project secret is the username (with an empty password); a service account is username:secret
+	if (secret && safeEqual(decoded, `${secret}:`)) return { ok: true };
+	if (serviceAccount && safeEqual(decoded, serviceAccount)) return { ok: true };
+	return { ok: false, error: 'invalid credentials' };
+}
+
+/**
+ * how the proxy authenticates with mixpanel's /import; service accounts also need the project id
+ * @returns {{authorization: string, query: string}}
+ */
+function mixpanelAuth() {
+	const { secret, serviceAccount, projectId } = credentials();
+	if (serviceAccount) return { authorization: `Basic ${Buffer.from(serviceAccount).toString('base64')}`, query: projectId ? `&project_id=${encodeURIComponent(projectId)}` : "" };
+	return { authorization: `Basic ${Buffer.from(`${secret}:`).toString('base64')}`, query: "" };
+}
+
+/**
+ * validates events like mixpanel's strict mode
+ * @param  {Object[]} records
+ * @param  {number} [now]
+ * @returns {{valid: Object[], failed: ImportFailure[]}}
+ */
+function validateRecords(records, now = Date.now()) {
+	const valid = [];
+	const failed = [];
+	records.forEach((record, index) => {
+		const problem = validateRecord(record, now);
+		if (problem) failed.push({ index, $insert_id: record?.properties?.$insert_id ?? null, ...problem });
+		else valid.push(record);
+	});
+	return { valid, failed };
+}
+
+// HELPERS
+
+/**
+ * @param  {any} record
+ * @param  {number} now
+ * @returns {{field: string, message: string} | null} the first problem
+ */
+function validateRecord(record, now) {
+	if (!record || typeof record !== 'object' || Array.isArray(record)) return { field: '', message: 'each record must be an object' };
+	if (typeof record.event !== 'string' || !record.event.trim()) return { field: 'event', message: "'event' must be a non-empty string" };
+	if (record.event.length > MAX_NAME_LENGTH) return { field: 'event', message: `'event' must be at most ${MAX_NAME_LENGTH} characters` };
+
+	const { properties } = record;
+	if (!properties || typeof properties !== 'object' || Array.isArray(properties)) return { field: 'properties', message: "'properties' must be an object" };
+
+	const time = properties.time;
+	if (typeof time !== 'number' || !Number.isFinite(time) || time <= 0) return { field: 'properties.time', message: "'properties.time' must be a positive number (seconds or milliseconds since the epoch)" };
+	// seconds or milliseconds, like /track
+	const timeMs = time < 1e11 ? time * 1000 : time;
+	if (timeMs > now + MAX_FUTURE_MS) return { field: 'properties.time', message: "'properties.time' is in the future" };
+
+	if (!['string', 'number'].includes(typeof properties.distinct_id)) return { field: 'properties.distinct_id', message: "'properties.distinct_id' must be a string" };
+
+	const insertId = properties.$insert_id;
+	if (typeof insertId !== 'string' || !/^[A-Za-z0-9-]{1,36}$/.test(insertId)) return { field: 'properties.$insert_id', message: "'properties.$insert_id' must be 1-36 letters, digits or dashes" };
+
+	const names = Object.keys(properties);
+	if (names.length > MAX_PROPERTIES) return { field: 'properties', message: `at most ${MAX_PROPERTIES} properties are allowed` };
+	const longName = names.find(name => name.length > MAX_NAME_LENGTH);
+	if (longName) return { field: `properties.${longName.slice(0, 32)}...`, message: `property names must be at most ${MAX_NAME_LENGTH} characters` };
+
+	return null;
+}
+
+module.exports = {
+	isEnabled,
+	authenticate,
+	mixpanelAuth,
+	validateRecords
+};
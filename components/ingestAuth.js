@@ -0,0 +1,173 @@
+/**
+ * @fileoverview optional authentication for /track, /engage and /groups; INGEST_AUTH lists the methods a request may use (any one will do):
+ * - token: every record's project token (properties.token / $token) is in ALLOWED_TOKENS; for the browser SDK, which can't keep a secret
+ * - api_key: a per-client key from INGEST_API_KEYS, in an X-Api-Key header (or Authorization: Bearer); for server callers
+ * - hmac: an HMAC-SHA256 signature of the body, with a per-client secret from INGEST_HMAC_SECRETS, in the same format the http middleware signs with:
+ *   X-Client-Id, X-Signature-Timestamp (unix seconds, within INGEST_HMAC_SKEW_SECONDS of ours) and X-Signature-256: sha256=hex(hmac(`<timestamp>.<body>`))
+ * credentials which are sent but wrong are rejected, even if another method would pass; nothing about the SDK's payloads changes
+ * rejections are logged and counted (mixpanel_proxy_auth_rejections_total)
+ */
+
+const { createHmac } = require('crypto');
+const log = require('./logger.js');
+const metrics = require('./metrics.js');
+const { parseRequest, tokenOf } = require('./transforms.js');
+const { safeEqual, bearer } = require('./secrets.js');
+
+const METHODS = ['token', 'api_key', 'hmac'];
+
+/**
+ * @typedef {Object} IngestAuthConfig
+ * @property {string[]} methods
+ * @property {Set<string>} tokens
+ * @property {Map<string, string>} apiKeys key -> client
+ * @property {Map<string, string>} hmacSecrets client -> secret
+ * @property {number} skewSeconds
+ */
+
+/**
+ * @typedef {Object} AuthResult
+ * @property {boolean} ok
+ * @property {string} [method] how the request authenticated
+ * @property {string} [client]
+ * @property {number} [status] 401 or 403, when it didn't
+ * @property {string} [reason]
+ */
+
+/** @type {IngestAuthConfig | null} */
+let config = null;
+
+/**
+ * reads INGEST_AUTH, ALLOWED_TOKENS, INGEST_API_KEYS, INGEST_HMAC_SECRETS and INGEST_HMAC_SKEW_SECONDS
+ * @returns {IngestAuthConfig}
+ */
+function loadConfig() {
+	const { INGEST_AUTH = "", ALLOWED_TOKENS = "", INGEST_API_KEYS = "", INGEST_HMAC_SECRETS = "", INGEST_HMAC_SKEW_SECONDS = "" } = process.env;
+	return {
+		methods: list(INGEST_AUTH).map(method => method.toLowerCase()).filter(method => METHODS.includes(method)),
+		tokens: new Set(list(ALLOWED_TOKENS)),
+		apiKeys: new Map(pairs(INGEST_API_KEYS).map(([client, key]) => [key, client])),
+		hmacSecrets: new Map(pairs(INGEST_HMAC_SECRETS)),
+		skewSeconds: parseInt(INGEST_HMAC_SKEW_SECONDS, 10) || 300
+	};
+}
+
+/**
+ * @returns {boolean}
+ */
+function isEnabled() {
+	return getConfig().methods.length > 0;
+}
+
+/**
+ * decides whether a request may write
+ * @param  {import('express').Request} req
+ * @param  {string} type i.e. track
+ * @param  {IngestAuthConfig} [settings]
+ * @param  {number} [now] ms
+ * @returns {AuthResult}
+ */
+function authenticate(req, type, settings = getConfig(), now = Date.now()) {
+	const { methods } = settings;
+	if (!methods.length) return { ok: true };
+	const headers = req.headers || {};
+
+	// explicit credentials first; a wrong one is never ignored
+	const apiKey = headers['x-api-key']?.toString() || bearer(headers.authorization);
+	if (apiKey && methods.includes('api_key')) {
+		const client = findKey(settings.apiKeys, apiKey);
+		return client ? { ok: true, method: 'api_key', client } : { ok: false, status: 401, reason: 'invalid_api_key' };
+	}
+
+	if (headers['x-signature-256'] && methods.includes('hmac')) return verifySignature(req, settings, now);
+
+	if (methods.includes('token')) {
+		const tokens = parseRequest(req).map(record => tokenOf(record, type));
+		if (!tokens.length || tokens.includes('')) return { ok: false, status: 401, reason: 'missing_token' };
+		if (tokens.some(token => !settings.tokens.has(token))) return { ok: false, status: 403, reason: 'token_not_allowed' };
+		return { ok: true, method: 'token' };
+	}
+
+	return { ok: false, status: 401, reason: 'missing_credentials' };
+}
+
+/**
+ * express middleware for an ingest route; put it before the token rate limit and the queue, so nothing unauthenticated is counted or queued
+ * @param  {string} type i.e. track
+ */
+function middleware(type) {
+	return (req, res, next) => {
+		const result = authenticate(req, type);
+		if (result.ok) {
+			if (result.client) req.ingestClient = result.client;
+			return next();
+		}
+		const ip = req.headers['x-forwarded-for'] || req.socket?.remoteAddress;
+		log(`[AUTH] rejected /${type} request from ${ip}: ${result.reason}`);
+		metrics.recordAuthRejection(type, result.reason || 'unknown');
+		res.status(result.status || 401).send({ error: 'unauthorized', reason: result.reason });
+	};
+}
+
+// HELPERS
+
+function getConfig() {
+	if (!config) config = loadConfig();
+	return config;
+}
+
+/**
+ * @param  {import('express').Request} req
+ * @param  {IngestAuthConfig} settings
+ * @param  {number} now
+ * @returns {AuthResult}
+ */
+function verifySignature(req, settings, now) {
+	const headers = req.headers;
+	const client = headers['x-client-id']?.toString() || '';
+	const timestamp = headers['x-signature-timestamp']?.toString() || '';
+	const secret = settings.hmacSecrets.get(client);
+	if (!secret) return { ok: false, status: 401, reason: 'unknown_client' };
+	if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - parseInt(timestamp, 10)) > settings.skewSeconds) return { ok: false, status: 401, reason: 'stale_signature' };
+
+	// the body as it was sent (see bodyParse); signed bodies must be read raw
+	/** @type {Buffer} */
+	// @ts-ignore
+	const body = req.rawBody || Buffer.alloc(0);
+	const expected = `sha256=${createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+	if (!safeEqual(headers['x-signature-256'].toString(), expected)) return { ok: false, status: 401, reason: 'invalid_signature' };
+	return { ok: true, method: 'hmac', client };
+}
+
+/**
+ * @param  {Map<string, string>} keys key -> client
+ * @param  {string} candidate
+ * @returns {string | undefined} the client
+ */
+function findKey(keys, candidate) {
+	for (const [key, client] of keys) {
+		if (safeEqual(key, candidate)) return client;
+	}
+	return undefined;
+}
+
+function list(value) {
+	return value.split(',').map(item => item.trim()).filter(a => a);
+}
+
+/**
+ * @param  {string} value i.e. client:key,other:key
+ * @returns {[string, string][]}
+ */
+function pairs(value) {
+	return list(value)
+		.map(item => [item.slice(0, item.indexOf(':')).trim(), item.slice(item.indexOf(':') + 1).trim()])
+		.filter(([client, secret]) => client && secret);
+}
+
+module.exports = {
+	loadConfig,
+	isEnabled,
+	authenticate,
+	middleware
+};
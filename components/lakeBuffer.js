@@ -0,0 +1,267 @@
+/**
+ * @fileoverview size- and time-based rollover for the lake destinations (s3, gcs, azure)
+ * instead of one object per request, records are buffered per destination + partition and written as one object
+ * when the buffer reaches LAKE_ROLLOVER_BYTES or is LAKE_ROLLOVER_SECONDS old (or the process shuts down)
+ * buffered records are appended to the WAL (one stream per lake) before they are acknowledged, so a crash only delays them;
+ * on restart each buffer is rebuilt under the same object key, so a half-finished write is simply overwritten
+ * this is independent of QUEUE_MAX; with neither setting, every request is written straight through (one object per partition)
+ * with DEDUPE=true, an insert_id is only written once per buffer (so a resend within the rollover window is skipped)
+ */
+
+const log = require('./logger.js');
+const wal = require('./wal.js');
+const deadLetter = require('./deadLetter.js');
+const dedupe = require('./dedupe.js');
+const { partitionBatch, writePartitions } = require('./lakeKeys.js');
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const ROLLOVER_BYTES_SET = parseInt(process.env.LAKE_ROLLOVER_BYTES || "0", 10) || 0;
+const ROLLOVER_SECONDS_SET = parseInt(process.env.LAKE_ROLLOVER_SECONDS || "0", 10) || 0;
+const ENABLED = ROLLOVER_BYTES_SET > 0 || ROLLOVER_SECONDS_SET > 0;
+// setting one bound implies a default for the other; a buffer is never unbounded in size or age
+const LAKE_ROLLOVER_BYTES = ROLLOVER_BYTES_SET || 64 * 1024 * 1024;
+const LAKE_ROLLOVER_SECONDS = ROLLOVER_SECONDS_SET || 60;
+if (NODE_ENV === "test") {
+	log.verbose(true);
+	log.cli(true);
+}
+
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').InsertResult} InsertResult */
+
+/**
+ * writes one object; the lake supplies this (i.e. insertData w/ retries and the schema for the type)
+ * @typedef {(records: Object[], key: string, type: Endpoints) => Promise<InsertResult>} LakeWriter
+ */
+
+/**
+ * @typedef {Object} LakeBuffer
+ * @property {string} id destination + partition
+ * @property {string} destination
+ * @property {Endpoints} type
+ * @property {string} table
+ * @property {string} key the object key this buffer will be written to
+ * @property {Object[]} records
+ * @property {Set<string>} ids the insert_ids in records (with DEDUPE=true)
+ * @property {number} bytes
+ * @property {number} firstSegment the oldest WAL segment holding records of this buffer
+ * @property {NodeJS.Timeout | null} timer
+ */
+
+/** @type {Map<string, LakeWriter>} */
+const writers = new Map();
+/** @type {Map<string, LakeBuffer>} buffers which are accepting records */
+const buffers = new Map();
+/** @type {Set<LakeBuffer>} buffers whose records are not written (or dead-lettered) yet; includes in-flight flushes */
+const unwritten = new Set();
+/** @type {Set<Promise<string>>} */
+const flushing = new Set();
+
+/**
+ * called by each lake once it is ready to write; recovers whatever a previous process left buffered
+ * @param  {string} destination
+ * @param  {LakeWriter} write
+ */
+function register(destination, write) {
+	const isNew = !writers.has(destination);
+	writers.set(destination, write);
+	if (!isNew) return;
+
+	const entries = wal.replay(streamName(destination));
+	const written = new Set(entries.filter(entry => entry.written).map(entry => entry.written));
+	/** @type {Set<LakeBuffer>} */
+	const recovered = new Set();
+	for (const entry of entries) {
+		if (entry.written || written.has(entry.key)) continue;
+		// segment 0 sorts before every segment on disk, so nothing is committed until these are written
+		const buffer = getBuffer(destination, entry.type, entry.table, entry.partition, entry.key, 0);
+		append(buffer, entry.records);
+		recovered.add(buffer);
+	}
+
+	if (recovered.size) {
+		log(`[LAKE BUFFER] recovered ${recovered.size} buffer(s) for ${destination} from the WAL; writing...`);
+		for (const buffer of recovered) flushInBackground(buffer);
+	}
+}
+
+/**
+ * buffers a (schematized) batch; full buffers are written before this resolves
+ * when rollover is off, the batch is written straight away as one object per partition
+ * @param  {string} destination
+ * @param  {Endpoints} type
+ * @param  {Object[]} batch
+ * @param  {string} table the table (prefix) name
+ * @param  {string} ext the file extension (without a leading dot)
+ * @returns {Promise<InsertResult>}
+ */
+async function add(destination, type, batch, table, ext) {
+	const write = writers.get(destination);
+	if (!write) throw new Error(`${destination} is not registered with the lake buffer`);
+	if (!ENABLED) return await writePartitions(batch, table, ext, (records, key) => write(records, key, type));
+
+	const stream = streamName(destination);
+	const files = [];
+	let duplicates = 0;
+	for (const { key, partition, records: partitionRecords } of partitionBatch(batch, table, ext)) {
+		const existing = buffers.get(bufferId(destination, partition));
+		let records = partitionRecords;
+		if (dedupe.isEnabled()) {
+			const { unique, duplicates: skipped } = dedupe.dropDuplicates(partitionRecords, existing?.ids);
+			duplicates += skipped.length;
+			if (!unique.length) continue;
+			records = unique;
+		}
+		const bufferKey = existing?.key || key;
+		// durable before it is acknowledged
+		const segment = wal.append(stream, [{ type, table, partition, key: bufferKey, records }]);
+		const buffer = existing || getBuffer(destination, type, table, partition, key, segment);
+		append(buffer, records);
+		if (buffer.bytes >= LAKE_ROLLOVER_BYTES) files.push(await flush(buffer));
+	}
+
+	const meta = { buffered: !files.length, files };
+	if (duplicates) meta.duplicates = duplicates;
+	return { status: "success", insertedRows: batch.length - duplicates, failedRows: 0, meta };
+}
+
+/**
+ * writes every open buffer (i.e. on shutdown); resolves once every in-flight write is done
+ * @returns {Promise<string[]>} the keys that were written
+ */
+async function flushAll() {
+	const keys = await Promise.all([...buffers.values()].map(flush));
+	await Promise.all([...flushing]);
+	if (keys.length) log(`[LAKE BUFFER] flushed ${keys.length} buffer(s)`);
+	return keys;
+}
+
+/**
+ * the number of records (and bytes) buffered, per destination
+ * @returns {Object<string, {records: number, bytes: number}>}
+ */
+function depth() {
+	const result = {};
+	for (const buffer of buffers.values()) {
+		result[buffer.destination] = result[buffer.destination] || { records: 0, bytes: 0 };
+		result[buffer.destination].records += buffer.records.length;
+		result[buffer.destination].bytes += buffer.bytes;
+	}
+	return result;
+}
+
+// HELPERS
+
+/**
+ * finds or opens the buffer for a partition; new buffers roll over after LAKE_ROLLOVER_SECONDS
+ * @returns {LakeBuffer}
+ */
+function getBuffer(destination, type, table, partition, key, segment) {
+	const id = bufferId(destination, partition);
+	let buffer = buffers.get(id);
+	if (buffer) {
+		buffer.firstSegment = Math.min(buffer.firstSegment, segment);
+		return buffer;
+	}
+
+	buffer = { id, destination, type, table, key, records: [], ids: new Set(), bytes: 0, firstSegment: segment, timer: null };
+	buffer.timer = setTimeout(flushInBackground, LAKE_ROLLOVER_SECONDS * 1000, buffer);
+	buffer.timer.unref();
+	buffers.set(id, buffer);
+	unwritten.add(buffer);
+	return buffer;
+}
+
+/**
+ * @param  {LakeBuffer} buffer
+ * @param  {Object[]} records
+ */
+function append(buffer, records) {
+	const trackIds = dedupe.isEnabled();
+	for (const record of records) {
+		buffer.records.push(record);
+		const id = trackIds ? dedupe.insertIdOf(record) : null;
+		if (id) buffer.ids.add(id);
+	}
+	buffer.bytes += Buffer.byteLength(JSON.stringify(records));
+}
+
+/**
+ * closes a buffer and writes it as one object; failures (after the lake's own retries) are dead-lettered
+ * @param  {LakeBuffer} buffer
+ * @returns {Promise<string>} the key
+ */
+function flush(buffer) {
+	// new records for this partition go to a new buffer (and a new object) from here on
+	if (buffers.get(buffer.id) === buffer) buffers.delete(buffer.id);
+	if (buffer.timer) clearTimeout(buffer.timer);
+	buffer.timer = null;
+
+	const task = (async () => {
+		const { destination, type, table, key, records } = buffer;
+		const stream = streamName(destination);
+		try {
+			const write = writers.get(destination);
+			if (!write) throw new Error(`${destination} is not registered with the lake buffer`);
+			await write(records, key, type);
+			log(`[LAKE BUFFER] wrote ${records.length} ${type} records (${buffer.bytes} bytes) to ${destination}: ${key}`);
+		}
+		catch (e) {
+			log(`[LAKE BUFFER] could not write ${key} to ${destination}; dead-lettering ${records.length} records`, e);
+			try {
+				await deadLetter.write(records, { destination, type, table, error: e.message, attempts: e.attempts || 1, mirror: false });
+			}
+			catch (err) {
+				// keep the WAL segments; the buffer is rebuilt + written on the next start
+				log(`[LAKE BUFFER] could not dead-letter ${key}; keeping it in the WAL`, err);
+				return key;
+			}
+		}
+
+		// a marker so a restart doesn't rebuild this key from segments which are not committed yet
+		wal.append(stream, [{ written: key }]);
+		unwritten.delete(buffer);
+		commit(destination);
+		return key;
+	})();
+
+	flushing.add(task);
+	task.finally(() => flushing.delete(task));
+	return task;
+}
+
+/**
+ * @param  {LakeBuffer} buffer
+ */
+function flushInBackground(buffer) {
+	flush(buffer).catch(e => log(`[LAKE BUFFER] error flushing ${buffer.key}`, e));
+}
+
+/**
+ * deletes every WAL segment older than the oldest unwritten buffer
+ * @param  {string} destination
+ */
+function commit(destination) {
+	const stream = streamName(destination);
+	const pending = [...unwritten].filter(buffer => buffer.destination === destination);
+	if (!pending.length) wal.commit(stream, wal.seal(stream));
+	else wal.commit(stream, Math.min(...pending.map(buffer => buffer.firstSegment)) - 1);
+}
+
+function bufferId(destination, partition) {
+	return `${destination}:${partition}`;
+}
+
+function streamName(destination) {
+	return `lake-${destination}`;
+}
+
+module.exports = {
+	register,
+	add,
+	flushAll,
+	depth,
+	ENABLED,
+	LAKE_ROLLOVER_BYTES,
+	LAKE_ROLLOVER_SECONDS
+};
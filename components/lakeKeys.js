@@ -0,0 +1,137 @@
+/**
+ * @fileoverview builds object keys for the lake destinations (s3, gcs, azure) from a template, i.e.
+ * `{table}/dt={date}/hour={hour}/part-{uuid}.{ext}` -> `events/dt=2026-10-19/hour=13/part-<uuid>.json.gz`
+ * the date + hour come from each record (event_time for events, insert_time for profiles), in UTC,
+ * so a batch which spans more than one partition is split into one file per partition
+ */
+
+const { randomUUID } = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const DEFAULT_TEMPLATE = '{table}/dt={date}/hour={hour}/part-{uuid}.{ext}';
+const LAKE_KEY_TEMPLATE = process.env.LAKE_KEY_TEMPLATE || DEFAULT_TEMPLATE;
+const TOKENS = ['table', 'date', 'year', 'month', 'day', 'hour', 'uuid', 'ext'];
+
+/**
+ * checks a template; returns an error message or null
+ * @param  {string} template
+ * @returns {string | null}
+ */
+function validateTemplate(template) {
+	const unknown = (template.match(/\{(\w+)\}/g) || []).map(t => t.slice(1, -1)).filter(t => !TOKENS.includes(t));
+	if (unknown.length) return `unknown token(s) in LAKE_KEY_TEMPLATE: ${unknown.join(', ')}`;
+	// without a unique part, every batch in a partition would overwrite the last one
+	if (!template.includes('{uuid}')) return 'LAKE_KEY_TEMPLATE must include {uuid}';
+	return null;
+}
+
+/**
+ * splits a batch into one object per partition
+ * @param  {Object[]} batch
+ * @param  {string} table the table (prefix) name
+ * @param  {string} ext the file extension (without a leading dot)
+ * @param  {string} [template]
+ * @returns {{key: string, partition: string, records: Object[]}[]}
+ */
+function partitionBatch(batch, table, ext, template = LAKE_KEY_TEMPLATE) {
+	if (table?.endsWith("/")) table = table.slice(0, -1);
+	const now = dayjs.utc();
+
+	/** @type {Map<string, {time: dayjs.Dayjs, records: Object[]}>} */
+	const partitions = new Map();
+	for (const record of batch) {
+		const time = recordTime(record) || now;
+		// the key without its unique part identifies the partition
+		const partition = renderKey(template, { table, time, ext, uuid: '' });
+		if (!partitions.has(partition)) partitions.set(partition, { time, records: [] });
+		partitions.get(partition)?.records.push(record);
+	}
+
+	return [...partitions.entries()].map(([partition, { time, records }]) => ({
+		key: renderKey(template, { table, time, ext, uuid: randomUUID() }),
+		partition,
+		records
+	}));
+}
+
+/**
+ * writes a batch as one file per partition, one file at a time
+ * stops at the first file which can't be written (so the batch is retried or dead-lettered)
+ * @param  {Object[]} batch
+ * @param  {string} table
+ * @param  {string} ext
+ * @param  {(records: Object[], key: string) => Promise<import('../types').InsertResult>} write
+ * @returns {Promise<import('../types').InsertResult>}
+ */
+async function writePartitions(batch, table, ext, write) {
+	const files = [];
+	let insertedRows = 0;
+	for (const { key, records } of partitionBatch(batch, table, ext)) {
+		const result = await write(records, key);
+		insertedRows += result.insertedRows || 0;
+		files.push(key);
+	}
+	return { status: "success", insertedRows, failedRows: batch.length - insertedRows, meta: { files } };
+}
+
+/**
+ * matches the keys a table's files are written under (by the template), and nothing else;
+ * i.e. `events/dt=2026-10-19/hour=13/part-<uuid>.parquet` for `events`, but not `dead-letter/bigquery/...` or `events_current/...`
+ * @param  {string} table
+ * @param  {string} [template]
+ * @returns {RegExp}
+ */
+function keyMatcher(table, template = LAKE_KEY_TEMPLATE) {
+	if (table?.endsWith("/")) table = table.slice(0, -1);
+	const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const pattern = template
+		.split(/(\{\w+\})/)
+		.map(part => {
+			if (part === '{table}') return escape(table);
+			if (/^\{\w+\}$/.test(part)) return '[^/]+';
+			return escape(part);
+		})
+		.join('');
+	return new RegExp(`^${pattern}$`);
+}
+
+// HELPERS
+
+/**
+ * @param  {Object} record
+ * @returns {dayjs.Dayjs | null}
+ */
+function recordTime(record) {
+	const value = record?.event_time || record?.insert_time;
+	if (!value) return null;
+	const time = dayjs.utc(value);
+	return time.isValid() ? time : null;
+}
+
+/**
+ * @param  {string} template
+ * @param  {{table: string, time: dayjs.Dayjs, ext: string, uuid: string}} values
+ */
+function renderKey(template, { table, time, ext, uuid }) {
+	const tokens = {
+		table,
+		date: time.format('YYYY-MM-DD'),
+		year: time.format('YYYY'),
+		month: time.format('MM'),
+		day: time.format('DD'),
+		hour: time.format('HH'),
+		uuid,
+		ext
+	};
+	return template.replace(/\{(\w+)\}/g, (match, token) => token in tokens ? tokens[token] : match);
+}
+
+module.exports = {
+	partitionBatch,
+	writePartitions,
+	validateTemplate,
+	keyMatcher,
+	DEFAULT_TEMPLATE
+};
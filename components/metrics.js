@@ -0,0 +1,237 @@
+/**
+ * @fileoverview prometheus metrics for the proxy, served at /metrics in the text exposition format
+ * requests + parsed records per endpoint, rows inserted / failed and insert latency per destination,
+ * retries, queue + delivery backlogs, dead-lettered batches, and rejected (unauthenticated or rate limited) requests; so you can alert when a destination starts failing
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'mixpanel_proxy_';
+// the routes we label by name; anything else is `other`, to keep the label's cardinality bounded
+const ENDPOINTS = ['/track', '/engage', '/groups', '/import', '/metrics', '/health', '/ready', '/ping', '/drop', '/dead-letter'];
+
+/** @typedef {import('../types').InsertResult} InsertResult */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const requests = new client.Counter({
+	name: `${PREFIX}requests_total`,
+	help: 'HTTP requests, by endpoint and status code',
+	labelNames: ['endpoint', 'code'],
+	registers: [registry]
+});
+
+const recordsParsed = new client.Counter({
+	name: `${PREFIX}records_parsed_total`,
+	help: 'records parsed from request bodies, by endpoint',
+	labelNames: ['endpoint'],
+	registers: [registry]
+});
+
+const parseFailures = new client.Counter({
+	name: `${PREFIX}parse_failures_total`,
+	help: 'request bodies which could not be parsed',
+	registers: [registry]
+});
+
+const rowsInserted = new client.Counter({
+	name: `${PREFIX}rows_inserted_total`,
+	help: 'rows a destination accepted, by destination and endpoint',
+	labelNames: ['destination', 'endpoint'],
+	registers: [registry]
+});
+
+const rowsFailed = new client.Counter({
+	name: `${PREFIX}rows_failed_total`,
+	help: 'rows a destination rejected (or which could not be sent), by destination and endpoint',
+	labelNames: ['destination', 'endpoint'],
+	registers: [registry]
+});
+
+const insertDuration = new client.Histogram({
+	name: `${PREFIX}insert_duration_seconds`,
+	help: 'how long each insert took, by destination, endpoint and status',
+	labelNames: ['destination', 'endpoint', 'status'],
+	buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+	registers: [registry]
+});
+
+const retries = new client.Counter({
+	name: `${PREFIX}insert_retries_total`,
+	help: 'inserts retried after a retryable error, by destination',
+	labelNames: ['destination'],
+	registers: [registry]
+});
+
+const deadLetterBatches = new client.Counter({
+	name: `${PREFIX}dead_letter_batches_total`,
+	help: 'batches dead-lettered, by destination and endpoint',
+	labelNames: ['destination', 'endpoint'],
+	registers: [registry]
+});
+
+const deadLetterRecords = new client.Counter({
+	name: `${PREFIX}dead_letter_records_total`,
+	help: 'records dead-lettered, by destination and endpoint',
+	labelNames: ['destination', 'endpoint'],
+	registers: [registry]
+});
+
+const authRejections = new client.Counter({
+	name: `${PREFIX}auth_rejections_total`,
+	help: 'ingest requests rejected by INGEST_AUTH, by endpoint and reason',
+	labelNames: ['endpoint', 'reason'],
+	registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+	name: `${PREFIX}rate_limited_total`,
+	help: 'ingest requests rejected by a rate limit, by endpoint and limit (ip or token)',
+	labelNames: ['endpoint', 'limit'],
+	registers: [registry]
+});
+
+/** @type {{queue: (() => Object<string, number>) | null, delivery: (() => Object<string, number>) | null}} */
+const depthSources = { queue: null, delivery: null };
+
+new client.Gauge({
+	name: `${PREFIX}queue_depth`,
+	help: 'records waiting in the queue (QUEUE_MAX), by endpoint',
+	labelNames: ['endpoint'],
+	registers: [registry],
+	collect() {
+		this.reset();
+		for (const [endpoint, depth] of Object.entries(depthSources.queue?.() || {})) this.set({ endpoint }, depth);
+	}
+});
+
+new client.Gauge({
+	name: `${PREFIX}delivery_pending_records`,
+	help: 'records waiting to be delivered in the background (DELIVERY_MODE=async), by destination',
+	labelNames: ['destination'],
+	registers: [registry],
+	collect() {
+		this.reset();
+		for (const [destination, depth] of Object.entries(depthSources.delivery?.() || {})) this.set({ destination }, depth);
+	}
+});
+
+/**
+ * express middleware which counts every request once it's answered
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @param  {function} next
+ */
+function countRequests(req, res, next) {
+	res.on('finish', () => {
+		const route = ENDPOINTS.find(route => req.path === route || req.path.startsWith(`${route}/`));
+		requests.inc({ endpoint: route ? route.slice(1) : 'other', code: String(res.statusCode) });
+	});
+	next();
+}
+
+/**
+ * @param  {string} endpoint i.e. track
+ * @param  {number} count
+ */
+function recordParsed(endpoint, count) {
+	if (count) recordsParsed.inc({ endpoint }, count);
+}
+
+function recordParseFailure() {
+	parseFailures.inc();
+}
+
+/**
+ * records one call to a middleware
+ * @param  {string} destination
+ * @param  {string} endpoint
+ * @param  {number} rows how many rows were sent
+ * @param  {InsertResult | null} result null if the middleware threw
+ * @param  {number} seconds
+ */
+function recordInsert(destination, endpoint, rows, result, seconds) {
+	const failed = !result || result.status === 'error';
+	let inserted, rejected;
+	if (!result) {
+		inserted = 0;
+		rejected = rows;
+	}
+	else if (failed) {
+		// most middlewares don't count rows when they fail
+		inserted = result.insertedRows || 0;
+		rejected = result.failedRows || Math.max(rows - inserted, 0);
+	}
+	else {
+		inserted = result.insertedRows ?? rows;
+		rejected = result.failedRows || 0;
+	}
+	if (inserted) rowsInserted.inc({ destination, endpoint }, inserted);
+	if (rejected) rowsFailed.inc({ destination, endpoint }, rejected);
+	insertDuration.observe({ destination, endpoint, status: failed ? 'error' : 'success' }, seconds);
+}
+
+/**
+ * @param  {string} destination i.e. bigquery
+ */
+function recordRetry(destination) {
+	retries.inc({ destination: destination || 'unknown' });
+}
+
+/**
+ * @param  {string} destination
+ * @param  {string} endpoint
+ * @param  {number} records
+ */
+function recordDeadLetter(destination, endpoint, records) {
+	deadLetterBatches.inc({ destination, endpoint });
+	deadLetterRecords.inc({ destination, endpoint }, records);
+}
+
+/**
+ * @param  {string} endpoint
+ * @param  {string} reason i.e. invalid_signature
+ */
+function recordAuthRejection(endpoint, reason) {
+	authRejections.inc({ endpoint, reason });
+}
+
+/**
+ * @param  {string} endpoint
+ * @param  {'ip' | 'token'} limit
+ */
+function recordRateLimited(endpoint, limit) {
+	rateLimited.inc({ endpoint, limit });
+}
+
+/**
+ * where the depth gauges read from; i.e. the queue's and the delivery workers' depth()
+ * @param  {'queue' | 'delivery'} name
+ * @param  {() => Object<string, number>} depth
+ */
+function trackDepth(name, depth) {
+	depthSources[name] = depth;
+}
+
+/**
+ * @returns {Promise<string>} every metric, in prometheus' text format
+ */
+async function render() {
+	return registry.metrics();
+}
+
+module.exports = {
+	countRequests,
+	recordParsed,
+	recordParseFailure,
+	recordInsert,
+	recordRetry,
+	recordDeadLetter,
+	recordAuthRejection,
+	recordRateLimited,
+	trackDepth,
+	render,
+	contentType: registry.contentType,
+	registry
+};
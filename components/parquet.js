@@ -0,0 +1,111 @@
+/**
+ * @fileoverview encodes schematized rows as parquet (in memory), so any destination can write .parquet files
+ * column types come from the warehouse schemas (i.e. bigquery-schemas.js); every column is optional
+ * JSON columns (properties) are written as JSON strings, which every lake engine can read
+ */
+
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+const { Writable } = require('stream');
+const schemas = require('../middleware/bigquery-schemas.js');
+const { extendSchema } = require('./schemaExtensions.js');
+
+/** @typedef {import('../types').Schema} Schema */
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').SchematizedData} WarehouseData */
+
+const TYPE_MAP = {
+	STRING: 'UTF8',
+	VARCHAR: 'UTF8',
+	TIMESTAMP: 'TIMESTAMP_MILLIS',
+	JSON: 'UTF8',
+	INT64: 'INT64',
+	INTEGER: 'INT64',
+	FLOAT64: 'DOUBLE',
+	FLOAT: 'DOUBLE',
+	BOOLEAN: 'BOOLEAN',
+	BOOL: 'BOOLEAN'
+};
+
+/**
+ * @param  {Schema} schema
+ * @returns {ParquetSchema}
+ */
+function toParquetSchema(schema) {
+	const fields = {};
+	for (const field of schema) {
+		fields[field.name] = { type: TYPE_MAP[field.type?.toUpperCase()] || 'UTF8', optional: true, compression: 'SNAPPY' };
+	}
+	return new ParquetSchema(fields);
+}
+
+/**
+ * @param  {WarehouseData} rows
+ * @param  {Schema} schema
+ * @returns {Promise<Buffer>} a complete parquet file
+ */
+async function toParquet(rows, schema) {
+	const chunks = [];
+	const out = new Writable({
+		write(chunk, encoding, callback) {
+			chunks.push(chunk);
+			callback();
+		}
+	});
+
+	const writer = await ParquetWriter.openStream(toParquetSchema(schema), out);
+	for (const row of rows) await writer.appendRow(coerceRow(row, schema));
+	await writer.close();
+	return Buffer.concat(chunks);
+}
+
+/**
+ * parquetjs is strict about JS types; ISO strings must become Dates, numbers in string columns must become strings, etc...
+ * @param  {Object} row
+ * @param  {Schema} schema
+ */
+function coerceRow(row, schema) {
+	const coerced = {};
+	for (const field of schema) {
+		const value = row[field.name];
+		if (value === null || value === undefined || value === "") continue;
+		const type = TYPE_MAP[field.type?.toUpperCase()] || 'UTF8';
+		switch (type) {
+			case 'TIMESTAMP_MILLIS':
+				const date = value instanceof Date ? value : new Date(value);
+				if (!isNaN(date.getTime())) coerced[field.name] = date;
+				break;
+			case 'INT64':
+			case 'DOUBLE':
+				if (!isNaN(Number(value))) coerced[field.name] = Number(value);
+				break;
+			case 'BOOLEAN':
+				coerced[field.name] = value.toString().toLowerCase() === 'true';
+				break;
+			default:
+				coerced[field.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+		}
+	}
+	return coerced;
+}
+
+/**
+ * the columns of each lake file (the same as the bigquery tables, promoted columns included)
+ * @param  {Endpoints} type
+ * @returns {Schema}
+ */
+function getParquetSchema(type) {
+	const schemaMappings = {
+		track: schemas.eventsSchema,
+		engage: schemas.usersSchema,
+		groups: schemas.groupsSchema
+	};
+	const schema = schemaMappings[type];
+	if (!schema) throw new Error("Invalid Record Type");
+	return extendSchema(schema, type, 'bigquery');
+}
+
+module.exports = {
+	toParquet,
+	toParquetSchema,
+	getParquetSchema
+};
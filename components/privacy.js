@@ -0,0 +1,247 @@
+/**
+ * @fileoverview the privacy stage: rules which drop, hash, mask or truncate properties (i.e. emails, phone numbers, IPs) before records reach a destination
+ * PRIVACY_RULES is a path to a .json / .yaml file, or inline JSON, with a list of rules for every destination and (optionally) a list per destination, i.e.
+ * { "default": [{ "property": ["$email", "email"], "action": "hash" }, { "pattern": "phone", "action": "mask" }, { "property": ["ip", "$ip"], "action": "truncate_ip" }], "mixpanel": [] }
+ * a destination's own list replaces the default one (so `"mixpanel": []` sends mixpanel the raw records); a bare list is the default
+ * a rule matches a property by name (`property`, exact) or by regex (`pattern`, case insensitive), at any depth (properties, $set, etc...); the first rule which matches wins
+ * actions: drop, hash (hex sha256 of PRIVACY_SALT + the value), mask (all but the last `keep` characters; an email keeps its first character and domain) and truncate_ip (ipv4 to /24, ipv6 to /48)
+ * records are copied, never changed in place; destinations with the same rules share a copy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isIP } = require('net');
+const { createHash } = require('crypto');
+const yaml = require('js-yaml');
+
+/** @typedef {import('../types').IncomingData} IncomingData */
+
+const ACTIONS = ['drop', 'hash', 'mask', 'truncate_ip'];
+const DESTINATIONS = ['bigquery', 'snowflake', 'redshift', 'postgres', 'clickhouse', 'kafka', 'mixpanel', 'gcs', 's3', 'azure', 'file', 'http'];
+const DEFAULT_KEEP = 4;
+
+/**
+ * @typedef {Object} PrivacyRule
+ * @property {Set<string> | null} names the properties it matches by name
+ * @property {RegExp | null} pattern ...or by regex
+ * @property {'drop' | 'hash' | 'mask' | 'truncate_ip'} action
+ * @property {number} keep mask: how many trailing characters are left
+ */
+
+/**
+ * @typedef {Object} PrivacyConfig
+ * @property {PrivacyRule[]} defaults for every destination without its own rules
+ * @property {Map<string, PrivacyRule[]>} destinations destination -> its rules
+ * @property {string} salt
+ */
+
+/** @type {PrivacyConfig | null} */
+let config = null;
+
+/**
+ * parses PRIVACY_RULES (or another source); throws on anything invalid
+ * @param  {string} [source] a path to a .json / .yaml / .yml file, or inline JSON
+ * @param  {string} [salt] PRIVACY_SALT; required if any rule hashes
+ * @returns {PrivacyConfig}
+ */
+function loadRules(source = process.env.PRIVACY_RULES, salt = process.env.PRIVACY_SALT || "") {
+	/** @type {PrivacyConfig} */
+	const privacy = { defaults: [], destinations: new Map(), salt };
+	if (!source?.trim()) return privacy;
+
+	let parsed;
+	const trimmed = source.trim();
+	if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+		try {
+			parsed = JSON.parse(trimmed);
+		}
+		catch (e) {
+			throw new Error(`PRIVACY_RULES is not valid JSON: ${e.message}`);
+		}
+	}
+	else {
+		const file = path.resolve(trimmed);
+		if (!fs.existsSync(file)) throw new Error(`PRIVACY_RULES file ${trimmed} does not exist`);
+		const text = fs.readFileSync(file, 'utf-8');
+		try {
+			parsed = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+		}
+		catch (e) {
+			throw new Error(`PRIVACY_RULES file ${trimmed} could not be parsed: ${e.message}`);
+		}
+	}
+	if (Array.isArray(parsed)) parsed = { default: parsed };
+	if (!parsed || typeof parsed !== 'object') throw new Error('PRIVACY_RULES must be a list of rules, or map destinations (and default) to lists of rules');
+
+	for (const [key, entries] of Object.entries(parsed)) {
+		const name = key.toLowerCase();
+		if (name !== 'default' && !DESTINATIONS.includes(name)) throw new Error(`PRIVACY_RULES: unknown destination ${key}; use default or one of ${DESTINATIONS.join(', ')}`);
+		if (!Array.isArray(entries)) throw new Error(`PRIVACY_RULES: ${key} must be a list of rules`);
+		const rules = entries.map(entry => parseRule(entry, key));
+		if (name === 'default') privacy.defaults = rules;
+		else privacy.destinations.set(name, rules);
+	}
+
+	// an unsalted hash of an email or phone number is easily reversed
+	const allRules = [privacy.defaults, ...privacy.destinations.values()].flat();
+	if (!salt && allRules.some(rule => rule.action === 'hash')) throw new Error('PRIVACY_SALT is required to hash properties');
+	return privacy;
+}
+
+/**
+ * @returns {boolean}
+ */
+function isEnabled() {
+	const { defaults, destinations } = getConfig();
+	return defaults.length > 0 || [...destinations.values()].some(rules => rules.length > 0);
+}
+
+/**
+ * the rules for a destination
+ * @param  {string} destination i.e. s3
+ * @param  {PrivacyConfig} [privacy]
+ * @returns {PrivacyRule[]}
+ */
+function rulesFor(destination, privacy = getConfig()) {
+	return privacy.destinations.get(destination) || privacy.defaults;
+}
+
+/**
+ * copies of the records with the rules applied
+ * @param  {IncomingData} records
+ * @param  {PrivacyRule[]} rules
+ * @param  {string} [salt]
+ * @returns {IncomingData}
+ */
+function redactRecords(records, rules, salt = getConfig().salt) {
+	if (!rules.length) return records;
+	// @ts-ignore
+	return records.map(record => redact(record, rules, salt));
+}
+
+/**
+ * each destination's records; destinations without rules get the records as they are
+ * @param  {IncomingData} records the SDK's records (before they're flattened)
+ * @param  {string[]} destinations
+ * @param  {PrivacyConfig} [privacy]
+ * @returns {Map<string, IncomingData>} destination -> records
+ */
+function forDestinations(records, destinations, privacy = getConfig()) {
+	/** @type {Map<PrivacyRule[], IncomingData>} */
+	const copies = new Map();
+	return new Map(destinations.map(destination => {
+		const rules = rulesFor(destination, privacy);
+		if (!copies.has(rules)) copies.set(rules, redactRecords(records, rules, privacy.salt));
+		return [destination, copies.get(rules)];
+	}));
+}
+
+// HELPERS
+
+function getConfig() {
+	if (!config) config = loadRules();
+	return config;
+}
+
+/**
+ * @param  {any} entry i.e. { property: "$email", action: "hash" }
+ * @param  {string} key where it's listed
+ * @returns {PrivacyRule}
+ */
+function parseRule(entry, key) {
+	if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`PRIVACY_RULES: ${key} has a rule which isn't an object`);
+	const { property, pattern, action, keep = DEFAULT_KEEP } = entry;
+	const label = JSON.stringify(entry);
+	if (!ACTIONS.includes(action)) throw new Error(`PRIVACY_RULES: ${label} needs an action (${ACTIONS.join(', ')})`);
+	if (Boolean(property) === Boolean(pattern)) throw new Error(`PRIVACY_RULES: ${label} needs a property or a pattern (not both)`);
+	if (!(Number.isInteger(keep) && keep >= 0)) throw new Error(`PRIVACY_RULES: ${label} keep must be 0 or more`);
+
+	let regex = null;
+	if (pattern) {
+		try {
+			regex = new RegExp(pattern, 'i');
+		}
+		catch (e) {
+			throw new Error(`PRIVACY_RULES: ${label} pattern is not a valid regex: ${e.message}`);
+		}
+	}
+	const names = property ? new Set([property].flat().map(String)) : null;
+	return { names, pattern: regex, action, keep };
+}
+
+/**
+ * copies a value, applying the first matching rule to each property (at any depth)
+ * @param  {any} value
+ * @param  {PrivacyRule[]} rules
+ * @param  {string} salt
+ */
+function redact(value, rules, salt) {
+	if (Array.isArray(value)) return value.map(item => redact(item, rules, salt));
+	if (!value || typeof value !== 'object') return value;
+	const copy = {};
+	for (const [key, inner] of Object.entries(value)) {
+		const rule = rules.find(rule => rule.names ? rule.names.has(key) : rule.pattern?.test(key));
+		if (!rule) copy[key] = redact(inner, rules, salt);
+		else if (rule.action !== 'drop') copy[key] = transform(inner, rule, salt);
+	}
+	return copy;
+}
+
+/**
+ * applies an action to a value; lists and objects have it applied to every string and number in them
+ * @param  {any} value
+ * @param  {PrivacyRule} rule
+ * @param  {string} salt
+ */
+function transform(value, rule, salt) {
+	if (Array.isArray(value)) return value.map(item => transform(item, rule, salt));
+	if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, transform(inner, rule, salt)]));
+	if (typeof value !== 'string' && typeof value !== 'number') return value;
+	const text = String(value);
+	switch (rule.action) {
+		case 'hash':
+			return createHash('sha256').update(salt + text).digest('hex');
+		case 'mask':
+			return mask(text, rule.keep);
+		case 'truncate_ip': {
+			// x-forwarded-for can be a list; values which aren't IPs (i.e. mixpanel's ip: 1) are left alone
+			const truncated = text.includes(',') ? text.split(',').map(ip => truncateIp(ip.trim())).join(', ') : truncateIp(text);
+			return truncated === text ? value : truncated;
+		}
+		default:
+			return value;
+	}
+}
+
+/**
+ * @param  {string} text
+ * @param  {number} keep
+ */
+function mask(text, keep) {
+	if (/^[^@\s]+@[^@\s]+$/.test(text)) return `${text[0]}***${text.slice(text.indexOf('@'))}`;
+	const shown = text.length > keep ? keep : 0;
+	return '*'.repeat(text.length - shown) + text.slice(text.length - shown);
+}
+
+/**
+ * 1.2.3.4 -> 1.2.3.0, 2001:db8:85a3::8a2e:370:7334 -> 2001:db8:85a3::
+ * @param  {string} ip
+ */
+function truncateIp(ip) {
+	if (isIP(ip) === 4) return ip.replace(/\.\d+$/, '.0');
+	if (isIP(ip) !== 6) return ip;
+	if (ip.toLowerCase().startsWith('::ffff:') && isIP(ip.slice(7)) === 4) return `::ffff:${truncateIp(ip.slice(7))}`;
+	const [head, tail] = ip.split('::');
+	const left = head ? head.split(':') : [];
+	const right = tail ? tail.split(':') : [];
+	const groups = [...left, ...Array(Math.max(8 - left.length - right.length, 0)).fill('0'), ...right];
+	return `${groups.slice(0, 3).join(':')}::`;
+}
+
+module.exports = {
+	loadRules,
+	isEnabled,
+	rulesFor,
+	redactRecords,
+	forDestinations
+};
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview "profile state" for the warehouses: alongside the append-only users / groups tables,
+ * a `<table>_current` table keeps one row per profile with its current properties
+ * each batch of operations is applied with mixpanel's semantics ($set_once only if absent, $add increments, $union set-merges, etc...)
+ * to the stored state, and written back with a MERGE that only matches the version it was read at;
+ * profiles which changed in the meantime (i.e. another proxy instance) are re-read and re-applied
+ * whether a write was skipped comes from the MERGE's own row count; a profile we wrote may be changed again by the time we re-read it,
+ * so re-reading alone can't tell a skipped write from one that landed (and re-applying a landed $add would count it twice)
+ */
+
+const { randomUUID } = require('crypto');
+const log = require('./logger.js');
+const { extensionsFor } = require('./schemaExtensions.js');
+
+const STATE_SUFFIX = '_current';
+const MAX_CONFLICT_RETRIES = 3;
+// sent with profile updates (or added by the proxy, like the caller's ip), but not profile properties
+const META_KEYS = ['time', 'ignore_time', 'ignore_alias', 'device_id', 'user_id', 'had_persisted_distinct_id', 'ip', '$ip'];
+
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').SchematizedData} WarehouseData */
+
+/**
+ * one row of a `<table>_current` table
+ * @typedef {Object} ProfileState
+ * @property {string} [distinct_id]
+ * @property {string} [group_key]
+ * @property {string} [group_id]
+ * @property {Object | string | null} properties
+ * @property {number} version
+ * @property {string} last_batch
+ */
+
+/**
+ * one row of a MERGE's source; `base_version` is the version the properties were computed from (0 = new profile)
+ * @typedef {Object} ProfileUpdate
+ * @property {string} [distinct_id]
+ * @property {string} [group_key]
+ * @property {string} [group_id]
+ * @property {string} token
+ * @property {string} properties a JSON string
+ * @property {boolean} deleted
+ * @property {number} base_version
+ * @property {string} batch_id
+ */
+
+/**
+ * the warehouse side of profile state
+ * @typedef {Object} ProfileStore
+ * @property {(keys: Object[]) => Promise<ProfileState[]>} read the current rows for some profiles
+ * @property {(updates: ProfileUpdate[]) => Promise<number>} write a MERGE which skips rows whose version is not `base_version`; resolves to the number of rows it inserted, updated or deleted
+ */
+
+/** @type {Map<string, Promise<any>>} */
+const locks = new Map();
+
+/**
+ * @param  {string} table i.e. users
+ * @returns {string} i.e. users_current
+ */
+function stateTableName(table) {
+	return `${table}${STATE_SUFFIX}`;
+}
+
+/**
+ * the tables a drop removes: the given ones, and (with profile state on) the _current tables of the profile tables among them
+ * @param  {Partial<import('../types').TableNames>} tableNames
+ * @param  {boolean} profileState
+ * @returns {string[]}
+ */
+function withStateTables(tableNames, profileState) {
+	const tables = Object.values(tableNames).filter(a => a);
+	if (!profileState) return tables;
+	return [...tables, ...[tableNames.userTable, tableNames.groupTable].filter(a => a).map(stateTableName)];
+}
+
+/**
+ * @param  {Endpoints | string} type
+ * @returns {string[]} the columns which identify a profile
+ */
+function profileKeys(type) {
+	if (['engage', 'user'].includes(type)) return ['distinct_id'];
+	if (['groups', 'group'].includes(type)) return ['group_key', 'group_id'];
+	throw new Error(`${type} records do not have profiles`);
+}
+
+/**
+ * applies one operation to a profile's properties, like mixpanel does
+ * @param  {Object | null} properties the current state (null = no profile)
+ * @param  {string} operation i.e. $set
+ * @param  {Object} values the operation's properties
+ * @returns {Object | null} the new state (null = deleted)
+ */
+function applyOperation(properties, operation, values = {}) {
+	if (operation === '$delete') return null;
+	const state = { ...(properties || {}) };
+	for (const [key, value] of Object.entries(values || {})) {
+		if (META_KEYS.includes(key)) continue;
+		switch (operation) {
+			case '$set':
+				state[key] = value;
+				break;
+			case '$set_once':
+				if (state[key] === undefined) state[key] = value;
+				break;
+			case '$unset':
+				delete state[key];
+				break;
+			case '$add':
+			case '$increment':
+				const current = Number(state[key]);
+				const delta = Number(value);
+				if (isNaN(delta)) break;
+				state[key] = (isNaN(current) ? 0 : current) + delta;
+				break;
+			case '$append':
+				state[key] = [...toList(state[key]), value];
+				break;
+			case '$union':
+				const list = toList(state[key]);
+				for (const item of toList(value)) {
+					if (!list.some(existing => isEqual(existing, item))) list.push(item);
+				}
+				state[key] = list;
+				break;
+			case '$remove':
+				state[key] = toList(state[key]).filter(existing => !isEqual(existing, value));
+				break;
+			default:
+				log(`[PROFILE STATE] ignoring unknown operation ${operation}`);
+				return state;
+		}
+	}
+	return state;
+}
+
+/**
+ * groups a batch by profile; each profile keeps its operations in the order they arrived
+ * promoted columns (SCHEMA_EXTENSIONS) are put back with the rest of the properties
+ * @param  {WarehouseData} rows schematized users or groups rows
+ * @param  {string[]} keys
+ * @param  {{property: string, name: string}[]} [promoted]
+ * @returns {Map<string, {key: Object, token: string, operations: {operation: string, values: Object}[]}>}
+ */
+function groupByProfile(rows, keys, promoted = []) {
+	const profiles = new Map();
+	for (const row of rows) {
+		if (keys.some(k => row[k] === undefined || row[k] === null || row[k] === '')) continue;
+		const id = profileId(row, keys);
+		if (!profiles.has(id)) profiles.set(id, { key: pick(row, keys), token: row.token || '', operations: [] });
+		const profile = profiles.get(id);
+		if (row.token) profile.token = row.token;
+		const values = { ...(typeof row.properties === 'string' ? JSON.parse(row.properties) : row.properties) };
+		for (const { property, name } of promoted) {
+			if (row[name] !== undefined && row[name] !== null) values[property] = row[name];
+		}
+		profile.operations.push({ operation: row.operation, values });
+	}
+	return profiles;
+}
+
+/**
+ * applies a batch of profile operations to the `<table>_current` table
+ * batches for the same table are applied one at a time (per process)
+ * @param  {string} lockName i.e. bigquery:users_current
+ * @param  {WarehouseData} rows schematized users or groups rows
+ * @param  {Endpoints} type
+ * @param  {ProfileStore} store
+ * @returns {Promise<{status: string, profiles: number, attempts: number, conflicts: number}>}
+ */
+async function updateProfileState(lockName, rows, type, store) {
+	const previous = locks.get(lockName) || Promise.resolve();
+	const run = previous.catch(() => { }).then(() => applyBatch(rows, type, store));
+	locks.set(lockName, run);
+	try {
+		return await run;
+	}
+	finally {
+		if (locks.get(lockName) === run) locks.delete(lockName);
+	}
+}
+
+/**
+ * @param  {WarehouseData} rows
+ * @param  {Endpoints} type
+ * @param  {ProfileStore} store
+ */
+async function applyBatch(rows, type, store) {
+	const keys = profileKeys(type);
+	const batchId = randomUUID();
+	const profiles = groupByProfile(rows, keys, extensionsFor(type));
+	let pending = [...profiles.keys()];
+	let attempts = 0;
+
+	while (pending.length && attempts < MAX_CONFLICT_RETRIES) {
+		attempts++;
+		const current = indexById(await store.read(pending.map(id => profiles.get(id)?.key)), keys);
+
+		/** @type {ProfileUpdate[]} */
+		const updates = [];
+		for (const id of pending) {
+			const profile = profiles.get(id);
+			if (!profile) continue;
+			const existing = current.get(id);
+			let state = existing ? parseProperties(existing.properties) : null;
+			for (const { operation, values } of profile.operations) state = applyOperation(state, operation, values);
+			// deleting a profile which doesn't exist is a no-op
+			if (!state && !existing) continue;
+			updates.push({
+				...profile.key,
+				token: profile.token,
+				properties: JSON.stringify(state || {}),
+				deleted: !state,
+				base_version: existing ? Number(existing.version) || 0 : 0,
+				batch_id: batchId
+			});
+		}
+		if (!updates.length) break;
+		const skipped = updates.length - (Number(await store.write(updates)) || 0);
+		if (skipped <= 0) {
+			pending = [];
+			break;
+		}
+
+		// which ones? a row we wrote carries our batch id (unless someone has written it since); a row we deleted is gone
+		const after = indexById(await store.read(updates.map(update => pick(update, keys))), keys);
+		const unknown = updates
+			.filter(update => update.deleted ? after.has(profileId(update, keys)) : after.get(profileId(update, keys))?.last_batch !== batchId)
+			.map(update => profileId(update, keys));
+		if (unknown.length !== skipped) {
+			// some of these landed and were changed again; we can't tell which, and re-applying those would apply them twice
+			log(`[PROFILE STATE] ${skipped} of ${updates.length} profile(s) changed while we were updating them, but ${unknown.length} look changed; not re-applying`);
+			pending = unknown;
+			break;
+		}
+		pending = unknown;
+		log(`[PROFILE STATE] ${pending.length} profile(s) changed while we were updating them; re-applying...`);
+	}
+
+	if (pending.length) log(`[PROFILE STATE] gave up on ${pending.length} profile(s) after ${attempts} attempts`);
+	return { status: pending.length ? 'error' : 'success', profiles: profiles.size, attempts, conflicts: pending.length };
+}
+
+// HELPERS
+
+function profileId(row, keys) {
+	return JSON.stringify(keys.map(k => String(row[k])));
+}
+
+function pick(row, keys) {
+	return Object.fromEntries(keys.map(k => [k, String(row[k])]));
+}
+
+/**
+ * @param  {ProfileState[]} rows
+ * @param  {string[]} keys
+ * @returns {Map<string, ProfileState>}
+ */
+function indexById(rows, keys) {
+	return new Map((rows || []).map(row => [profileId(row, keys), row]));
+}
+
+function parseProperties(properties) {
+	if (!properties) return {};
+	if (typeof properties === 'string') return JSON.parse(properties);
+	return properties;
+}
+
+function toList(value) {
+	if (value === undefined || value === null) return [];
+	return Array.isArray(value) ? value.slice() : [value];
+}
+
+function isEqual(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+	stateTableName,
+	withStateTables,
+	profileKeys,
+	applyOperation,
+	groupByProfile,
+	updateProfileState
+};
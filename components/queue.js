@@ -1,6 +1,9 @@
 require('dotenv').config({ override: false });
 const NODE_ENV = process.env.NODE_ENV || "prod";
 const log = require("../components/logger.js");
+const wal = require("./wal.js");
+const { parseRequest } = require("./transforms.js");
+const tracing = require("./tracing.js");
 if (NODE_ENV === 'test') {
 	log.verbose(true);
 	log.cli(true);
@@ -11,20 +14,54 @@ const QUEUE_INTERVAL = parseInt(process.env.QUEUE_INTERVAL || `${60 * 10}`, 10)
 const QUEUE_EVENTS = [];
 const QUEUE_USERS = [];
 const QUEUE_GROUPS = [];
+const FLUSHING = new Set();
 let lastFlushTime = Date.now();
 
 async function flushQueue(queue, type, handleMixpanelRequest) {
-	if (queue.length > 0) {
+	if (queue.length > 0 && !FLUSHING.has(type)) {
+		FLUSHING.add(type);
+		// everything we are about to flush lives in segments <= sealed
 		const itemsToFlush = queue.splice(0, queue.length);
+		const sealed = wal.seal(type);
 		const dataToFlush = itemsToFlush.map(item => item.data);
 		const headers = itemsToFlush.length > 0 ? itemsToFlush[0].headers : {};
 		log(`[QUEUE] flushing ${dataToFlush.length} ${type} records`);
-		const result = await handleMixpanelRequest(type, { body: dataToFlush, headers }, { send: () => { } });
-		log(`[QUEUE] flushed ${dataToFlush.length} ${type} records`);
+		let result;
+		try {
+			const res = { send: () => { }, status() { return this; } };
+			// its own span: a flush can start from any request (or from the WAL at boot)
+			result = await tracing.withSpan(`flush ${type}`, { 'proxy.endpoint': type, 'proxy.records': dataToFlush.length }, () => handleMixpanelRequest(type, { body: dataToFlush, headers }, res));
+		}
+		catch (e) {
+			log(`[QUEUE] error flushing ${type} records`, e);
+		}
+		finally {
+			FLUSHING.delete(type);
+		}
+
+		if (isAcknowledged(result)) {
+			wal.commit(type, sealed);
+			log(`[QUEUE] flushed ${dataToFlush.length} ${type} records`);
+		}
+		else {
+			// put them back at the front of the queue; they are still in the WAL
+			queue.unshift(...itemsToFlush);
+			log(`[QUEUE] ${type} flush was not acknowledged by every destination; ${dataToFlush.length} records kept in the WAL`);
+		}
 		return result;
 	}
 }
 
+/**
+ * a flush is acknowledged when every destination returned a non-error result
+ * (or the records it rejected were safely dead-lettered)
+ * @param  {any} results
+ */
+function isAcknowledged(results) {
+	if (!Array.isArray(results)) return false;
+	return results.every(r => r?.deadLetter || r?.result?.deadLetter || (r?.result && r.result?.status !== 'error'));
+}
+
 async function checkQueue(handleMixpanelRequest, force = false) {
 	const currentTime = Date.now();
 	if ((currentTime - lastFlushTime > (QUEUE_INTERVAL * 1000)) || force) {
@@ -47,13 +84,14 @@ function queue(type, handleMixpanelRequest) {
 	return async (req, res, next) => {
 		if (QUEUE_MAX > 0) {
 			const queue = getQueueByType(type);
-			const headers = req.headers;
+			// only keep what we need to attribute the records to the end user; these get written to disk
+			const headers = { 'x-forwarded-for': req.headers['x-forwarded-for'] || req?.socket?.remoteAddress };
+			// queue the parsed records (not the body), so they aren't parsed again when flushed
+			const items = parseRequest(req).map(data => ({ data, headers }));
 
-			if (Array.isArray(req.body)) {
-				req.body.forEach((item) => queue.push({ data: item, headers }));
-			} else {
-				queue.push({ data: req.body, headers });
-			}
+			// records must be durable before we answer "queued"
+			wal.append(type, items);
+			queue.push(...items);
 
 			// If the queue is full, flush it immediately
 			if (queue.length >= QUEUE_MAX) {
@@ -85,6 +123,14 @@ function getQueueByType(type) {
 	}
 }
 
+/**
+ * the number of records waiting in the queue, per endpoint
+ * @returns {Object<string, number>}
+ */
+function depth() {
+	return { track: QUEUE_EVENTS.length, engage: QUEUE_USERS.length, groups: QUEUE_GROUPS.length };
+}
+
 function queueMiddleware(handleMixpanelRequest) {
 	return async (req, res, next) => {
 		if (QUEUE_MAX > 0) {
@@ -94,8 +140,31 @@ function queueMiddleware(handleMixpanelRequest) {
 	};
 }
 
+/**
+ * reloads anything left in the WAL by a previous process (crash, deploy, scale-down)
+ * and flushes it in the background; call this once at boot before serving traffic
+ * @param  {function} handleMixpanelRequest
+ * @returns {number} the number of records recovered
+ */
+function replayQueue(handleMixpanelRequest) {
+	let recovered = 0;
+	for (const type of ['track', 'engage', 'groups']) {
+		const items = wal.replay(type);
+		if (items.length) getQueueByType(type).push(...items);
+		recovered += items.length;
+	}
+
+	if (recovered > 0) {
+		log(`[QUEUE] recovered ${recovered} records from the WAL; flushing...`);
+		checkQueue(handleMixpanelRequest, true).catch(e => log(`[QUEUE] error flushing recovered records`, e));
+	}
+	return recovered;
+}
+
 module.exports = {
 	queue,
 	checkQueue,
-	queueMiddleware
+	queueMiddleware,
+	replayQueue,
+	depth
 };
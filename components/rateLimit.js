@@ -0,0 +1,240 @@
+/**
+ * @fileoverview optional rate limits for the ingest endpoints, per client IP (RATE_LIMIT_IP_RPS) and per project token (RATE_LIMIT_TOKEN_RPS)
+ * the IP limit is checked before a body is read; the token limit after the request is authenticated (so unauthenticated requests can't use up a project's limit)
+ * each key gets a token bucket: it refills at the _RPS rate and holds up to the _BURST size, and every request takes one token
+ * a request over any limit is answered 429 with Retry-After (seconds); rejections are counted (mixpanel_proxy_rate_limited_total) and logged once a minute
+ * buckets are kept in memory (per process) unless RATE_LIMIT_STORE points at a module exporting a shared store (i.e. backed by redis); see RateLimitStore
+ * if the store fails, requests are let through
+ */
+
+const path = require('path');
+const fs = require('fs');
+const log = require('./logger.js');
+const metrics = require('./metrics.js');
+const { parseRequest, tokenOf } = require('./transforms.js');
+
+const LOG_INTERVAL_MS = 60 * 1000;
+// idle buckets are forgotten once they've refilled; this bounds how many the memory store holds before it sweeps
+const MEMORY_SWEEP_SIZE = 10000;
+
+/**
+ * @typedef {Object} Bucket
+ * @property {number} rate tokens added per second
+ * @property {number} burst the most tokens the bucket holds
+ */
+
+/**
+ * @typedef {Object} TakeResult
+ * @property {boolean} allowed
+ * @property {number} remaining tokens left in the bucket
+ * @property {number} retryAfterMs when there'll be a token again (0 if allowed)
+ */
+
+/**
+ * where buckets are kept; a shared store must take tokens atomically (i.e. a redis lua script)
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string, bucket: Bucket, now: number) => TakeResult | Promise<TakeResult>} take takes a token from a key's bucket, if it has one
+ */
+
+/**
+ * @typedef {Object} RateLimitConfig
+ * @property {Bucket | null} ip
+ * @property {Bucket | null} token
+ */
+
+/** @type {RateLimitConfig | null} */
+let config = null;
+/** @type {RateLimitStore | null} */
+let store = null;
+/** @type {Map<string, number>} rejections since the last log line, by key */
+let rejected = new Map();
+/** @type {NodeJS.Timeout | null} */
+let logTimer = null;
+
+/**
+ * reads RATE_LIMIT_IP_RPS, RATE_LIMIT_IP_BURST, RATE_LIMIT_TOKEN_RPS and RATE_LIMIT_TOKEN_BURST; a burst defaults to one second's worth (at least 1)
+ * @returns {RateLimitConfig}
+ */
+function loadConfig() {
+	const { RATE_LIMIT_IP_RPS = "", RATE_LIMIT_IP_BURST = "", RATE_LIMIT_TOKEN_RPS = "", RATE_LIMIT_TOKEN_BURST = "" } = process.env;
+	return {
+		ip: toBucket(RATE_LIMIT_IP_RPS, RATE_LIMIT_IP_BURST),
+		token: toBucket(RATE_LIMIT_TOKEN_RPS, RATE_LIMIT_TOKEN_BURST)
+	};
+}
+
+/**
+ * @returns {boolean}
+ */
+function isEnabled() {
+	const { ip, token } = getConfig();
+	return Boolean(ip || token);
+}
+
+/**
+ * an in-memory store; the default
+ * @returns {RateLimitStore}
+ */
+function createMemoryStore() {
+	/** @type {Map<string, {tokens: number, updated: number, bucket: Bucket}>} */
+	const buckets = new Map();
+
+	function sweep(now) {
+		for (const [key, state] of buckets) {
+			if (state.tokens + ((now - state.updated) / 1000) * state.bucket.rate >= state.bucket.burst) buckets.delete(key);
+		}
+	}
+
+	return {
+		take(key, bucket, now) {
+			if (buckets.size >= MEMORY_SWEEP_SIZE) sweep(now);
+			const state = buckets.get(key) || { tokens: bucket.burst, updated: now };
+			const tokens = Math.min(bucket.burst, state.tokens + (Math.max(now - state.updated, 0) / 1000) * bucket.rate);
+			if (tokens < 1) {
+				buckets.set(key, { tokens, updated: now, bucket });
+				return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((1 - tokens) / bucket.rate) * 1000) };
+			}
+			buckets.set(key, { tokens: tokens - 1, updated: now, bucket });
+			return { allowed: true, remaining: Math.floor(tokens - 1), retryAfterMs: 0 };
+		}
+	};
+}
+
+/**
+ * loads a store from a module (RATE_LIMIT_STORE) which exports one, or a function which returns one
+ * @param  {string} source a path, relative to the working directory
+ * @returns {RateLimitStore}
+ */
+function loadStore(source = process.env.RATE_LIMIT_STORE) {
+	if (!source?.trim()) return createMemoryStore();
+	const file = path.resolve(source.trim());
+	if (!fs.existsSync(file)) throw new Error(`RATE_LIMIT_STORE file ${source} does not exist`);
+	let loaded = require(file);
+	if (typeof loaded === 'function') loaded = loaded();
+	if (typeof loaded?.take !== 'function') throw new Error(`RATE_LIMIT_STORE file ${source} must export a store with a take(key, bucket, now) method`);
+	return loaded;
+}
+
+/**
+ * uses a different store (i.e. in tests, or when embedding the proxy)
+ * @param  {RateLimitStore} custom
+ */
+function setStore(custom) {
+	store = custom;
+}
+
+/**
+ * express middleware for the ingest routes which limits each client IP; mount it before the body parsers, so a rejected body is never read
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @param  {function} next
+ */
+async function limitIp(req, res, next) {
+	const { ip } = getConfig();
+	if (!ip) return next();
+	const address = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || req.connection?.remoteAddress;
+	await check((req.baseUrl || req.path).split('/')[1] || 'other', [['ip', `ip:${address}`, ip]], res, next);
+}
+
+/**
+ * express middleware for an ingest route which limits each project token in the body; mount it after auth
+ * @param  {string} type i.e. track
+ */
+function limitTokens(type) {
+	return async (req, res, next) => {
+		const { token } = getConfig();
+		if (!token) return next();
+		// imported events carry their token like tracked ones
+		const tokens = new Set(parseRequest(req).map(record => tokenOf(record, type === 'import' ? 'track' : type)).filter(a => a));
+		await check(type, [...tokens].map(projectToken => ['token', `token:${projectToken}`, token]), res, next);
+	};
+}
+
+/**
+ * logs (and forgets) the rejections counted since the last summary
+ * @returns {number} how many there were
+ */
+function flushLog() {
+	const total = [...rejected.values()].reduce((sum, count) => sum + count, 0);
+	if (total) {
+		const top = [...rejected.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([key, count]) => `${key} (${count})`);
+		log(`[RATE LIMIT] rejected ${total} request(s) in the last ${LOG_INTERVAL_MS / 1000}s; most from: ${top.join(', ')}`);
+	}
+	rejected = new Map();
+	return total;
+}
+
+// HELPERS
+
+/**
+ * takes a token from each bucket in turn; the first empty one rejects the request
+ * @param  {string} type
+ * @param  {['ip' | 'token', string, Bucket][]} checks limit, key, bucket
+ * @param  {import('express').Response} res
+ * @param  {function} next
+ */
+async function check(type, checks, res, next) {
+	for (const [limit, key, bucket] of checks) {
+		let result;
+		try {
+			result = await getStore().take(key, bucket, Date.now());
+		}
+		catch (e) {
+			log(`[RATE LIMIT] store failed; letting the request through: ${e.message}`);
+			return next();
+		}
+		if (result.allowed) continue;
+
+		const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+		metrics.recordRateLimited(type, limit);
+		countRejection(key);
+		return res.status(429).set('Retry-After', String(retryAfter)).send({ error: 'too many requests', limit, retry_after: retryAfter });
+	}
+	next();
+}
+
+function getConfig() {
+	if (!config) config = loadConfig();
+	return config;
+}
+
+function getStore() {
+	if (!store) store = loadStore();
+	return store;
+}
+
+/**
+ * @param  {string} rps
+ * @param  {string} burst
+ * @returns {Bucket | null}
+ */
+function toBucket(rps, burst) {
+	const rate = parseFloat(rps);
+	if (!(rate > 0)) return null;
+	return { rate, burst: parseInt(burst, 10) || Math.max(Math.ceil(rate), 1) };
+}
+
+/**
+ * rejections are logged in a summary (not one line each), so a flood doesn't flood the logs too
+ * @param  {string} key
+ */
+function countRejection(key) {
+	rejected.set(key, (rejected.get(key) || 0) + 1);
+	if (logTimer) return;
+	logTimer = setTimeout(() => {
+		logTimer = null;
+		flushLog();
+	}, LOG_INTERVAL_MS);
+	logTimer.unref();
+}
+
+module.exports = {
+	loadConfig,
+	isEnabled,
+	createMemoryStore,
+	loadStore,
+	setStore,
+	limitIp,
+	limitTokens,
+	flushLog
+};
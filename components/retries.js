@@ -1,5 +1,7 @@
 const { sleep } = require("ak-tools");
 const log = require("../components/logger.js");
+const metrics = require("../components/metrics.js");
+const tracing = require("../components/tracing.js");
 
 const NODE_ENV = process.env.NODE_ENV || "prod";
 let MAX_RETRIES = process.env.MAX_RETRIES || 5;
@@ -21,19 +23,22 @@ if (NODE_ENV === "test") {
  * a function that retries an insert operation
  * @param {function} fn an insert function
  * @param  {WarehouseData | FlatData} batch a batch of data, either flat or schematized
- * @param  {string} table the table to insert to
+ * @param  {any} table the table to insert to (a name, a bigquery Table, a topic, a lake key, a url...)
  * @param  {Schema} schema the schema
- * @param  {string[]} retryableErrors an array of error messages to trigger a retry
- * @param  {number[]} retryableStatusCodes an array of HTTP status codes to trigger a retry
- * @param  {function} backoffStrategy a function to calculate backoff time
+ * @param  {Object} [options]
+ * @param  {string} [options.destination] the middleware (i.e. bigquery), which labels the retry metric
+ * @param  {string[]} [options.retryableErrors] an array of error messages to trigger a retry
+ * @param  {number[]} [options.retryableStatusCodes] an array of HTTP status codes to trigger a retry
+ * @param  {function} [options.backoffStrategy] a function to calculate backoff time
  * @return {Promise<InsertResult>} the result of the insert operation
  */
-async function insertWithRetry(
-	fn, batch, table, schema = [],
-	retryableErrors = ["TableLockedError", "LockNotAvailableError", "NetworkError"],
-	retryableStatusCodes = [429, 500, 503],
-	backoffStrategy = (attempt) => Math.min(1000 * 2 ** attempt, 30000)
-) {
+async function insertWithRetry(fn, batch, table, schema = [], options = {}) {
+	const {
+		destination = "unknown",
+		retryableErrors = ["TableLockedError", "LockNotAvailableError", "NetworkError"],
+		retryableStatusCodes = [429, 500, 503],
+		backoffStrategy = (attempt) => Math.min(1000 * 2 ** attempt, 30000)
+	} = options;
 	let attempt = 0;
 
 	while (attempt < maxRetries) {
@@ -47,15 +52,21 @@ async function insertWithRetry(
 			if (isRetryableError || isRetryableStatusCode) {
 				const waitTime = backoffStrategy(attempt);
 				log(`[${error.message.toUpperCase()}] retry attempt #${attempt + 1} (waiting ${waitTime} ms) `);
+				metrics.recordRetry(destination);
+				tracing.addEvent('retry', { attempt: attempt + 1, wait_ms: waitTime, error: error.message });
 				await sleep(waitTime);
 				attempt++;
 			} else {
+				error.attempts = attempt + 1;
 				throw error;
 			}
 		}
 	}
 
-	throw new Error(`Failed to insert data after ${MAX_RETRIES} attempts`);
+	const error = new Error(`Failed to insert data after ${MAX_RETRIES} attempts`);
+	// @ts-ignore
+	error.attempts = attempt;
+	throw error;
 }
 
 module.exports = {
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview schema evolution for the warehouse tables: at init, each existing table's columns are compared to the schema we expect
+ * (the base schemas + SCHEMA_EXTENSIONS); missing columns are added with ALTER TABLE ... ADD COLUMN and recorded in a migrations table
+ * type changes and columns we don't expect (anymore) would need a destructive migration, so they are never applied, only reported:
+ * SCHEMA_EVOLUTION=additive (default) logs them and carries on, strict refuses to start (the init error is fatal: the process exits), off skips the check entirely
+ */
+
+const log = require('./logger.js');
+const { version } = require('../package.json');
+const { DIALECTS } = require('./schemaExtensions.js');
+
+const MODES = ['additive', 'strict', 'off'];
+const DEFAULT_MIGRATIONS_TABLE = 'proxy_schema_migrations';
+// generic types, like SCHEMA_EXTENSIONS
+const MIGRATION_COLUMNS = [['table_name', 'STRING'], ['column_name', 'STRING'], ['column_type', 'STRING'], ['applied_time', 'TIMESTAMP'], ['proxy_version', 'STRING']];
+
+/** @typedef {import('../types').Schema} Schema */
+
+/**
+ * a column as the warehouse describes it
+ * @typedef {Object} LiveColumn
+ * @property {string} name
+ * @property {string} type
+ */
+
+/**
+ * @typedef {Object} SchemaDiff
+ * @property {Schema} missing columns we expect, which the table doesn't have
+ * @property {{name: string, expected: string, actual: string}[]} changed columns whose type is different
+ * @property {string[]} extra columns the table has, which we don't expect
+ */
+
+/**
+ * one applied migration; a row of the migrations table
+ * @typedef {Object} Migration
+ * @property {string} table_name
+ * @property {string} column_name
+ * @property {string} column_type
+ * @property {string} applied_time
+ * @property {string} proxy_version
+ */
+
+/**
+ * what each warehouse does for evolveTable
+ * @typedef {Object} SchemaAdapter
+ * @property {(table: string) => Promise<LiveColumn[]>} describe the table's columns
+ * @property {(table: string, fields: Schema) => Promise<any>} addColumns
+ * @property {(migrations: Migration[]) => Promise<any>} record creates the migrations table (if needed) and appends to it
+ */
+
+/**
+ * @returns {'additive' | 'strict' | 'off'}
+ */
+function evolutionMode() {
+	const mode = (process.env.SCHEMA_EVOLUTION || 'additive').toLowerCase();
+	// @ts-ignore
+	return MODES.includes(mode) ? mode : 'additive';
+}
+
+/**
+ * @returns {string}
+ */
+function migrationsTableName() {
+	return process.env.SCHEMA_MIGRATIONS_TABLE || DEFAULT_MIGRATIONS_TABLE;
+}
+
+/**
+ * the migrations table's columns, typed for a warehouse
+ * @param  {keyof DIALECTS} dialect
+ * @returns {Schema}
+ */
+function migrationsSchema(dialect) {
+	// @ts-ignore
+	return MIGRATION_COLUMNS.map(([name, type]) => ({ name, type: DIALECTS[dialect][type] }));
+}
+
+/**
+ * the family of a column type, so each warehouse's spelling compares equal (i.e. INT64, INTEGER, NUMBER, bigint)
+ * @param  {string} type
+ * @returns {string} string, integer, float, boolean, timestamp, date, json, or the type itself (lowercased)
+ */
+function normalizeType(type) {
+	let t = String(type || '').trim().toLowerCase();
+	// clickhouse wrappers
+	while (/^(nullable|lowcardinality)\((.*)\)$/.test(t)) t = t.replace(/^(nullable|lowcardinality)\((.*)\)$/, '$2');
+	// lengths, precisions, time zones: VARCHAR(256), DateTime64(3, 'UTC'), NUMBER(38,0)
+	t = t.replace(/\(.*\)$/, '').trim();
+	if (/^(string|varchar|character varying|text|char|character|bpchar|nvarchar)$/.test(t)) return 'string';
+	if (/^(int|int8|int16|int32|int64|uint8|uint16|uint32|uint64|integer|bigint|smallint|number)$/.test(t)) return 'integer';
+	if (/^(float|float32|float64|double|double precision|real|float4|float8)$/.test(t)) return 'float';
+	if (/^(bool|boolean)$/.test(t)) return 'boolean';
+	if (/^(timestamp|timestamptz|datetime|datetime64|timestamp_ntz|timestamp_tz|timestamp_ltz|timestamp with time zone|timestamp without time zone)$/.test(t)) return 'timestamp';
+	if (/^(date|date32)$/.test(t)) return 'date';
+	if (/^(json|jsonb|variant|super|object)$/.test(t)) return 'json';
+	return t;
+}
+
+/**
+ * compares a table's live columns to the schema we expect; column names are case-insensitive
+ * @param  {Schema} expected
+ * @param  {LiveColumn[]} live
+ * @returns {SchemaDiff}
+ */
+function diffSchema(expected, live) {
+	const liveColumns = new Map(live.map(column => [column.name.toLowerCase(), column]));
+	const expectedNames = new Set(expected.map(field => field.name.toLowerCase()));
+
+	/** @type {SchemaDiff} */
+	const diff = { missing: [], changed: [], extra: [] };
+	for (const field of expected) {
+		const column = liveColumns.get(field.name.toLowerCase());
+		if (!column) diff.missing.push(field);
+		else if (normalizeType(column.type) !== normalizeType(field.type)) diff.changed.push({ name: field.name, expected: field.type, actual: column.type });
+	}
+	diff.extra = live.map(column => column.name).filter(name => !expectedNames.has(name.toLowerCase()));
+	return diff;
+}
+
+/**
+ * brings an existing table up to date with the schema we expect (additive changes only)
+ * @param  {string} destination i.e. bigquery
+ * @param  {string} table
+ * @param  {Schema} expected
+ * @param  {SchemaAdapter} adapter
+ * @returns {Promise<SchemaDiff>}
+ */
+async function evolveTable(destination, table, expected, adapter) {
+	const mode = evolutionMode();
+	if (mode === 'off') return { missing: [], changed: [], extra: [] };
+	const diff = diffSchema(expected, await adapter.describe(table));
+
+	const problems = [
+		...diff.changed.map(change => `${change.name} is ${change.actual} (expected ${change.expected})`),
+		...diff.extra.map(name => `${name} is not in the schema`)
+	];
+	if (problems.length) {
+		const message = `${destination} table ${table} has changes we won't make: ${problems.join('; ')}`;
+		if (mode === 'strict') {
+			const error = new Error(`${message}; refusing to start (SCHEMA_EVOLUTION=strict)`);
+			// the server exits on a fatal init error, rather than serving traffic into a table which doesn't match
+			// @ts-ignore
+			error.fatal = true;
+			throw error;
+		}
+		log(`[SCHEMA] ${message}; leaving them as they are`);
+	}
+
+	if (diff.missing.length) {
+		log(`[SCHEMA] adding column(s) ${diff.missing.map(field => field.name).join(', ')} to ${destination} table ${table}...`);
+		await adapter.addColumns(table, diff.missing);
+		const applied_time = new Date().toISOString();
+		await adapter.record(diff.missing.map(field => ({ table_name: table, column_name: field.name, column_type: field.type, applied_time, proxy_version: version })));
+		log(`[SCHEMA] ${destination} table ${table} is up to date`);
+	}
+	return diff;
+}
+
+module.exports = {
+	evolveTable,
+	diffSchema,
+	normalizeType,
+	migrationsSchema,
+	migrationsTableName,
+	evolutionMode
+};
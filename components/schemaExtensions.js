@@ -0,0 +1,239 @@
+/**
+ * @fileoverview user-defined columns: properties which are promoted out of the `properties` blob into their own typed columns,
+ * so they can be clustered on, filtered and joined without JSON extraction
+ * SCHEMA_EXTENSIONS is a path to a .json / .yaml file, or inline JSON, listing the columns for each endpoint, i.e.
+ * { "track": ["mp_country_code STRING", "$browser STRING", "revenue FLOAT"], "engage": ["plan_tier STRING"] }
+ * an entry can also be an object, to name the column something other than the property (or to cluster on it, in bigquery):
+ * { "property": "Plan Tier", "name": "plan_tier", "type": "STRING", "cluster": true }
+ * types are generic (STRING, INTEGER, FLOAT, BOOLEAN, TIMESTAMP, JSON); each warehouse maps them to its own
+ * values which can't be coerced to the column's type (and nulls) stay in `properties`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const TYPES = ['STRING', 'INTEGER', 'FLOAT', 'BOOLEAN', 'TIMESTAMP', 'JSON'];
+const ENDPOINTS = { track: 'track', event: 'track', events: 'track', engage: 'engage', user: 'engage', users: 'engage', groups: 'groups', group: 'groups' };
+// every column the proxy already writes; a promoted column can't shadow one of these
+const RESERVED = ['event', 'event_time', 'insert_time', 'token', 'device_id', 'distinct_id', 'user_id', 'group_key', 'group_id', 'operation', 'properties'];
+
+/** @type {Object<string, Object<string, string>>} generic type -> column type, per warehouse */
+const DIALECTS = {
+	bigquery: { STRING: 'STRING', INTEGER: 'INT64', FLOAT: 'FLOAT64', BOOLEAN: 'BOOL', TIMESTAMP: 'TIMESTAMP', JSON: 'JSON' },
+	snowflake: { STRING: 'VARCHAR', INTEGER: 'INTEGER', FLOAT: 'FLOAT', BOOLEAN: 'BOOLEAN', TIMESTAMP: 'TIMESTAMP', JSON: 'VARIANT' },
+	redshift: { STRING: 'VARCHAR', INTEGER: 'BIGINT', FLOAT: 'DOUBLE PRECISION', BOOLEAN: 'BOOLEAN', TIMESTAMP: 'TIMESTAMP', JSON: 'SUPER' },
+	postgres: { STRING: 'VARCHAR', INTEGER: 'BIGINT', FLOAT: 'DOUBLE PRECISION', BOOLEAN: 'BOOLEAN', TIMESTAMP: 'TIMESTAMPTZ', JSON: 'JSONB' },
+	clickhouse: { STRING: 'Nullable(String)', INTEGER: 'Nullable(Int64)', FLOAT: 'Nullable(Float64)', BOOLEAN: 'Nullable(Bool)', TIMESTAMP: "Nullable(DateTime64(3, 'UTC'))", JSON: 'Nullable(String)' }
+};
+
+/**
+ * one promoted property
+ * @typedef {Object} Extension
+ * @property {string} property the property's name in the incoming data (i.e. $browser)
+ * @property {string} name the column's name (i.e. browser)
+ * @property {string} type one of TYPES
+ * @property {boolean} cluster whether (bigquery) clusters new tables on this column
+ */
+
+/** @typedef {{track: Extension[], engage: Extension[], groups: Extension[]}} Extensions */
+/** @typedef {import('../types').Schema} Schema */
+
+/** @type {Extensions | null} */
+let cached = null;
+
+/**
+ * parses SCHEMA_EXTENSIONS (or another source); throws on anything invalid
+ * @param  {string} [source] a path to a .json / .yaml / .yml file, or inline JSON
+ * @returns {Extensions}
+ */
+function loadExtensions(source = process.env.SCHEMA_EXTENSIONS) {
+	/** @type {Extensions} */
+	const extensions = { track: [], engage: [], groups: [] };
+	if (!source?.trim()) return extensions;
+
+	let config;
+	const trimmed = source.trim();
+	if (trimmed.startsWith('{')) {
+		try {
+			config = JSON.parse(trimmed);
+		}
+		catch (e) {
+			throw new Error(`SCHEMA_EXTENSIONS is not valid JSON: ${e.message}`);
+		}
+	}
+	else {
+		const file = path.resolve(trimmed);
+		if (!fs.existsSync(file)) throw new Error(`SCHEMA_EXTENSIONS file ${trimmed} does not exist`);
+		const text = fs.readFileSync(file, 'utf-8');
+		try {
+			config = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+		}
+		catch (e) {
+			throw new Error(`SCHEMA_EXTENSIONS file ${trimmed} could not be parsed: ${e.message}`);
+		}
+	}
+	if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('SCHEMA_EXTENSIONS must map endpoints (track, engage, groups) to lists of columns');
+
+	for (const [key, entries] of Object.entries(config)) {
+		const endpoint = ENDPOINTS[key.toLowerCase()];
+		if (!endpoint) throw new Error(`SCHEMA_EXTENSIONS: unknown endpoint ${key}; use track, engage or groups`);
+		if (!Array.isArray(entries)) throw new Error(`SCHEMA_EXTENSIONS: ${key} must be a list of columns`);
+		for (const entry of entries) {
+			const extension = parseEntry(entry);
+			if (RESERVED.includes(extension.name)) throw new Error(`SCHEMA_EXTENSIONS: ${extension.name} is already a column`);
+			if (extensions[endpoint].some(e => e.name === extension.name)) throw new Error(`SCHEMA_EXTENSIONS: ${extension.name} is listed twice for ${endpoint}`);
+			extensions[endpoint].push(extension);
+		}
+		// bigquery clusters on at most 4 columns, and every table already uses 1
+		if (extensions[endpoint].filter(e => e.cluster).length > 3) throw new Error(`SCHEMA_EXTENSIONS: at most 3 columns per endpoint can be clustered on (${endpoint})`);
+	}
+	return extensions;
+}
+
+/**
+ * the configured extensions; SCHEMA_EXTENSIONS is read once
+ * @returns {Extensions}
+ */
+function getExtensions() {
+	if (!cached) cached = loadExtensions();
+	return cached;
+}
+
+/**
+ * the promoted columns for an endpoint
+ * @param  {string} type i.e. track, user, engage
+ * @param  {Extensions} [extensions]
+ * @returns {Extension[]}
+ */
+function extensionsFor(type, extensions = getExtensions()) {
+	const endpoint = ENDPOINTS[type];
+	return endpoint ? extensions[endpoint] : [];
+}
+
+/**
+ * a warehouse's schema for an endpoint, plus the promoted columns (typed for that warehouse)
+ * promoted fields carry `property` + `promoted` (the generic type); strip those before handing a schema to an API
+ * @param  {Schema} schema
+ * @param  {string} type i.e. track, user, engage
+ * @param  {keyof DIALECTS} dialect
+ * @param  {Extensions} [extensions]
+ * @returns {Schema}
+ */
+function extendSchema(schema, type, dialect, extensions = getExtensions()) {
+	const columns = extensionsFor(type, extensions);
+	if (!columns.length) return schema;
+	const types = DIALECTS[dialect];
+	if (!types) throw new Error(`no column types for ${dialect}`);
+	// bigquery fields have a mode + description; the others are just name + type
+	const isBigQuery = dialect === 'bigquery';
+	return [
+		...schema,
+		...columns.map(({ property, name, type }) => ({
+			name,
+			type: types[type],
+			...(isBigQuery ? { mode: 'NULLABLE', description: `promoted from the ${property} property` } : {}),
+			property,
+			promoted: type
+		}))
+	];
+}
+
+/**
+ * a schema without the fields extendSchema adds, i.e. for bigquery's API
+ * @param  {Schema} schema
+ * @returns {Schema}
+ */
+function toColumns(schema) {
+	return schema.map(({ property, promoted, ...field }) => field);
+}
+
+/**
+ * the promoted columns to cluster on, for an endpoint
+ * @param  {string} type
+ * @param  {Extensions} [extensions]
+ * @returns {string[]}
+ */
+function clusterColumns(type, extensions = getExtensions()) {
+	return extensionsFor(type, extensions).filter(e => e.cluster).map(e => e.name);
+}
+
+/**
+ * coerces a value to a promoted column's (generic) type
+ * @param  {any} value
+ * @param  {string} type one of TYPES
+ * @returns {any} undefined if the value doesn't fit
+ */
+function coerce(value, type) {
+	if (value === null || value === undefined || value === '') return undefined;
+	switch (type) {
+		case 'STRING':
+			return typeof value === 'object' ? JSON.stringify(value) : String(value);
+		case 'INTEGER':
+			const int = Number(value);
+			return typeof value !== 'boolean' && Number.isInteger(int) ? int : undefined;
+		case 'FLOAT':
+			const float = Number(value);
+			return typeof value !== 'boolean' && Number.isFinite(float) ? float : undefined;
+		case 'BOOLEAN':
+			if (typeof value === 'boolean') return value;
+			if (['true', 'false'].includes(String(value).toLowerCase())) return String(value).toLowerCase() === 'true';
+			return undefined;
+		case 'TIMESTAMP':
+			// numbers are unix time, in seconds or ms (like mixpanel's `time`)
+			const date = typeof value === 'number' ? new Date(value < 1e11 ? value * 1000 : value) : new Date(value);
+			return isNaN(date.getTime()) ? undefined : date.toISOString();
+		case 'JSON':
+			return value;
+		default:
+			return undefined;
+	}
+}
+
+// HELPERS
+
+/**
+ * @param  {string | {property?: string, name?: string, type?: string, cluster?: boolean}} entry
+ * @returns {Extension}
+ */
+function parseEntry(entry) {
+	let property, name, type, cluster = false;
+	if (typeof entry === 'string') {
+		const match = entry.trim().match(/^(.+?)\s+(\w+)$/);
+		if (!match) throw new Error(`SCHEMA_EXTENSIONS: "${entry}" should look like "property TYPE"`);
+		[, property, type] = match;
+	}
+	else if (entry && typeof entry === 'object') {
+		({ property, name, type, cluster = false } = entry);
+		if (!property) throw new Error(`SCHEMA_EXTENSIONS: ${JSON.stringify(entry)} needs a property`);
+	}
+	else {
+		throw new Error(`SCHEMA_EXTENSIONS: ${JSON.stringify(entry)} is not a column`);
+	}
+
+	type = String(type || '').toUpperCase();
+	if (!TYPES.includes(type)) throw new Error(`SCHEMA_EXTENSIONS: ${property} has type ${type || '(none)'}; use one of ${TYPES.join(', ')}`);
+	name = name || columnName(property);
+	if (!/^[a-z_][a-z0-9_]*$/.test(name)) throw new Error(`SCHEMA_EXTENSIONS: ${name} is not a valid column name; use lowercase letters, digits and _`);
+	return { property, name, type, cluster: Boolean(cluster) };
+}
+
+/**
+ * i.e. $browser -> browser, Plan Tier -> plan_tier
+ * @param  {string} property
+ */
+function columnName(property) {
+	return property.replace(/^\$/, '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^(\d)/, '_$1');
+}
+
+module.exports = {
+	loadExtensions,
+	getExtensions,
+	extensionsFor,
+	extendSchema,
+	toColumns,
+	clusterColumns,
+	coerce,
+	TYPES,
+	DIALECTS
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview helpers for checking the secrets callers send (the /import secret, ingest api keys + signatures, the admin token)
+ */
+
+const { createHash, timingSafeEqual } = require('crypto');
+
+/**
+ * compares without leaking how much of a secret matched
+ * @param  {string} a
+ * @param  {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+	const hash = (value) => createHash('sha256').update(value).digest();
+	return timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * the token in an `Authorization: Bearer <token>` header
+ * @param  {string | string[]} [header]
+ * @returns {string} '' if there is none
+ */
+function bearer(header) {
+	const match = header?.toString()?.match(/^Bearer\s+(.+)$/i);
+	return match ? match[1].trim() : '';
+}
+
+module.exports = {
+	safeEqual,
+	bearer
+};
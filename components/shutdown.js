@@ -0,0 +1,67 @@
+/**
+ * @fileoverview graceful shutdown: on SIGTERM / SIGINT every registered hook (i.e. flushing the lake buffers) runs, in order, before the process exits
+ * hooks share SHUTDOWN_TIMEOUT_MS (default 10s); anything still running after that is abandoned (and recovered from the WAL on the next start)
+ */
+
+const log = require('./logger.js');
+
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || "10000", 10) || 10000;
+
+/** @type {{name: string, hook: () => Promise<any> | any}[]} */
+const hooks = [];
+let isListening = false;
+/** @type {Promise<void> | null} */
+let shuttingDown = null;
+
+/**
+ * run a function before the process exits
+ * @param  {string} name
+ * @param  {() => Promise<any> | any} hook
+ */
+function onShutdown(name, hook) {
+	hooks.push({ name, hook });
+	if (isListening) return;
+	isListening = true;
+	for (const signal of ['SIGTERM', 'SIGINT']) {
+		process.once(signal, async () => {
+			await shutdown(signal);
+			process.exit(0);
+		});
+	}
+}
+
+/**
+ * runs every hook once; later calls get the same promise
+ * @param  {string} [reason]
+ * @returns {Promise<void>}
+ */
+function shutdown(reason = 'shutdown') {
+	if (shuttingDown) return shuttingDown;
+	shuttingDown = (async () => {
+		log(`[SHUTDOWN] ${reason}; running ${hooks.length} hook(s)...`);
+		const runHooks = async () => {
+			for (const { name, hook } of hooks) {
+				try {
+					await hook();
+					log(`[SHUTDOWN] ${name} done`);
+				}
+				catch (e) {
+					log(`[SHUTDOWN] ${name} failed`, e);
+				}
+			}
+			return 'done';
+		};
+		/** @type {NodeJS.Timeout | undefined} */
+		let timer;
+		const timeout = new Promise(resolve => { timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS, 'timeout'); });
+		const outcome = await Promise.race([runHooks(), timeout]);
+		clearTimeout(timer);
+		if (outcome === 'timeout') log(`[SHUTDOWN] hooks did not finish within ${SHUTDOWN_TIMEOUT_MS} ms; exiting anyway`);
+	})();
+	return shuttingDown;
+}
+
+module.exports = {
+	onShutdown,
+	shutdown
+};
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview optional OpenTelemetry tracing: a span per ingest request (continuing the caller's `traceparent`; from the first middleware, so rejected and queued requests have one too),
+ * with child spans for parsing, flattening, queue flushes and each destination's insert; retries are recorded as span events
+ * tracing is on when OTEL_EXPORTER_OTLP_ENDPOINT (or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) points at a collector; spans are exported over OTLP/HTTP
+ * otherwise every helper here is a no-op (the API's default tracer), and the SDK is never loaded
+ */
+
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const log = require('./logger.js');
+const { version } = require('../package.json');
+
+const TRACER_NAME = 'mixpanel-dwh-proxy';
+
+/** @typedef {import('@opentelemetry/api').Span} Span */
+/** @typedef {import('@opentelemetry/api').Attributes} Attributes */
+
+/** @type {{shutdown: () => Promise<void>} | null} */
+let provider = null;
+
+/**
+ * @returns {boolean} whether a collector is configured
+ */
+function isEnabled() {
+	return Boolean(process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT);
+}
+
+/**
+ * registers the SDK (tracer provider, W3C trace context propagation, OTLP/HTTP exporter) if tracing is on; call once at boot
+ * the exporter reads the standard OTEL_EXPORTER_OTLP_* settings (endpoint, headers, timeout)
+ * @returns {boolean} whether tracing is on
+ */
+function init() {
+	if (provider) return true;
+	if (!isEnabled()) return false;
+
+	const { NodeTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+	const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+	const { Resource } = require('@opentelemetry/resources');
+
+	const serviceName = process.env.OTEL_SERVICE_NAME || TRACER_NAME;
+	const tracerProvider = new NodeTracerProvider({
+		resource: new Resource({ 'service.name': serviceName, 'service.version': version }),
+		spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+	});
+	// async-local context + the W3C traceparent / baggage propagators
+	tracerProvider.register();
+	provider = tracerProvider;
+	log(`[TRACING] exporting spans for ${serviceName} to ${process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT}`);
+	return true;
+}
+
+/**
+ * flushes + stops the exporter (i.e. on shutdown)
+ */
+async function shutdown() {
+	if (!provider) return;
+	await provider.shutdown();
+	provider = null;
+}
+
+function getTracer() {
+	return trace.getTracer(TRACER_NAME, version);
+}
+
+/**
+ * express middleware which runs the rest of an ingest route (rate limits, auth, the queue, the handler) in a request span (see traceRequest)
+ * so requests which are rejected or queued are traced too; mount it before everything else on the ingest paths
+ * the span ends when the response does
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @param  {import('express').NextFunction} next
+ */
+function middleware(req, res, next) {
+	const endpoint = (req.baseUrl || req.path).split('/')[1] || 'other';
+	traceRequest(endpoint, req, () => new Promise((resolve, reject) => {
+		res.once('close', () => res.writableFinished ? resolve() : reject(new Error('the response was not finished')));
+		next();
+	})).catch(() => { });
+}
+
+/**
+ * runs a handler in a server span for an incoming request, continuing the caller's trace (traceparent) if it sent one
+ * @template T
+ * @param  {string} endpoint i.e. track
+ * @param  {import('express').Request} req
+ * @param  {(span: Span) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function traceRequest(endpoint, req, fn) {
+	const parent = propagation.extract(context.active(), req?.headers || {});
+	const attributes = { 'proxy.endpoint': endpoint, 'http.request.method': req?.method || 'POST', 'url.path': req?.originalUrl?.split('?')[0] || req?.path || `/${endpoint}` };
+	return getTracer().startActiveSpan(`${req?.method || 'POST'} /${endpoint}`, { kind: SpanKind.SERVER, attributes }, parent, async (span) => {
+		try {
+			const result = await fn(span);
+			const code = req?.res?.statusCode;
+			if (code) span.setAttribute('http.response.status_code', code);
+			if (code >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+			return result;
+		}
+		catch (e) {
+			fail(span, e);
+			throw e;
+		}
+		finally {
+			span.end();
+		}
+	});
+}
+
+/**
+ * runs a function (sync or async) in a child span of the active one
+ * @template T
+ * @param  {string} name
+ * @param  {Attributes} attributes
+ * @param  {(span: Span) => T} fn
+ * @returns {T}
+ */
+function withSpan(name, attributes, fn) {
+	return getTracer().startActiveSpan(name, { attributes }, (span) => {
+		let result;
+		try {
+			result = fn(span);
+		}
+		catch (e) {
+			fail(span, e);
+			span.end();
+			throw e;
+		}
+		// @ts-ignore
+		if (!result || typeof result.then !== 'function') {
+			span.end();
+			return result;
+		}
+		// @ts-ignore
+		return result.then(
+			(value) => { span.end(); return value; },
+			(e) => { fail(span, e); span.end(); throw e; }
+		);
+	});
+}
+
+/**
+ * records an insert's outcome on its span
+ * @param  {Span} span
+ * @param  {import('../types').InsertResult} result
+ */
+function recordResult(span, result) {
+	span.setAttribute('proxy.result.status', result?.status || 'unknown');
+	if (typeof result?.insertedRows === 'number') span.setAttribute('proxy.rows.inserted', result.insertedRows);
+	if (typeof result?.failedRows === 'number') span.setAttribute('proxy.rows.failed', result.failedRows);
+	if (result?.status === 'error') span.setStatus({ code: SpanStatusCode.ERROR, message: result.errorMessage || undefined });
+}
+
+/**
+ * adds attributes to the active span (if any)
+ * @param  {Attributes} attributes
+ */
+function setAttributes(attributes) {
+	trace.getActiveSpan()?.setAttributes(attributes);
+}
+
+/**
+ * adds an event (i.e. a retry) to the active span (if any)
+ * @param  {string} name
+ * @param  {Attributes} [attributes]
+ */
+function addEvent(name, attributes) {
+	trace.getActiveSpan()?.addEvent(name, attributes);
+}
+
+// HELPERS
+
+/**
+ * @param  {Span} span
+ * @param  {any} e
+ */
+function fail(span, e) {
+	span.recordException(e);
+	span.setStatus({ code: SpanStatusCode.ERROR, message: e?.message || String(e) });
+	span.setAttribute('proxy.result.status', 'error');
+}
+
+module.exports = {
+	isEnabled,
+	init,
+	shutdown,
+	middleware,
+	traceRequest,
+	withSpan,
+	recordResult,
+	setAttributes,
+	addEvent
+};
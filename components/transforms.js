@@ -5,7 +5,9 @@
 
 const dayjs = require('dayjs');
 const { clone } = require('ak-tools');
-const profileOps = ['$set', '$set_once', '$unset', '$delete', '$append', '$add', '$union', '$delete', '$increment'];
+const { coerce } = require('./schemaExtensions.js');
+const metrics = require('./metrics.js');
+const profileOps = ['$set', '$set_once', '$unset', '$delete', '$append', '$add', '$union', '$remove', '$increment'];
 
 /** @typedef {import('../types').Runtimes} Runtimes */
 /** @typedef {import('../types').Targets} Destinations */
@@ -104,27 +106,47 @@ function parseSDKData(reqBody) {
 		console.error(e);
 		console.error('unable to parse incoming data');
 		console.error('reqBody:', reqBody);
+		metrics.recordParseFailure();
 		return [];
 	}
 }
 
+/**
+ * a request's records; parsed once (by whichever of rate limiting, auth or the handler reads them first) and kept on the request
+ * so a body which can't be parsed is counted and logged once
+ * @param  {Object} req an express request (or the queue's stand-in)
+ * @returns {IncomingData}
+ */
+function parseRequest(req) {
+	if (!req.sdkRecords) req.sdkRecords = parseSDKData(req.body?.data || req.body);
+	return req.sdkRecords;
+}
+
 
 /**
  * takes our flat object data and nests optional fields in a properties object
+ * promoted columns (SCHEMA_EXTENSIONS) are filled from their property ($ or not) when the value fits the column's type
  * @param  {WarehouseData} data
  * @param  {Schema} schema
  * @returns {SchematizedData}
  */
 function schematizeForWarehouse(data, schema) {
 	if (!Array.isArray(data)) data = [data];
+	const promoted = new Map();
+	for (const field of schema) {
+		if (!field.property) continue;
+		promoted.set(field.property.replace(/^\$/, ''), field);
+	}
 	const schematized = data.map(row => {
 		const newRow = {};
 		const now = new Date().toISOString();
 		newRow["insert_time"] = now;
 		for (const key in row) {
-			const field = schema.find(f => f.name === key);
-			if (field) {
-				newRow[key] = row[key];
+			const field = promoted.get(key.replace(/^\$/, '')) || schema.find(f => f.name === key && !f.property);
+			const value = field?.property ? coerce(row[key], field.promoted) : row[key];
+			// promoted values which don't fit their column stay in properties
+			if (field && (!field.property || value !== undefined)) {
+				newRow[field.name] = value;
 			} else {
 				newRow.properties = newRow.properties || {};
 				newRow.properties[key] = row[key];
@@ -141,7 +163,6 @@ function schematizeForWarehouse(data, schema) {
 /**
  * prep data for each warehouse by basically flattening it + cleaning key names
  * also normalizing certain values
- * todo: allow a user to define their own values to schematize
  * @param  {IncomingData} data
  * @returns {WarehouseData}
  */
@@ -154,8 +175,14 @@ function flattenAndRenameForWarehouse(data) {
 				// $set, $set_once, etc... are "operations" and their values are the "properties"
 				if (profileOps.includes(key)) {
 					record.operation = key;
-					for (const prop in record[key]) {
-						record[prop] = record[key][prop];
+					// $unset is a list of property names
+					if (Array.isArray(record[key])) {
+						for (const prop of record[key]) record[prop] = null;
+					}
+					else {
+						for (const prop in record[key]) {
+							record[prop] = record[key][prop];
+						}
 					}
 					delete record[key];
 				}
@@ -187,7 +214,7 @@ function flattenAndRenameForWarehouse(data) {
 						delete record.properties.time;
 					}
 
-					//todo: add more transformations here; perhaps a user-defined schema
+					//todo: add more transformations here
 
 					//if it's not a $, just move it up a level
 					else {
@@ -203,4 +230,15 @@ function flattenAndRenameForWarehouse(data) {
 	});
 }
 
-module.exports = { parseSDKData, schematizeForWarehouse, flattenAndRenameForWarehouse };
\ No newline at end of file
+/**
+ * a record's project token; events carry it in properties.token, profile updates in $token
+ * @param  {Object} record
+ * @param  {Endpoints} type
+ * @returns {string} '' if it has none
+ */
+function tokenOf(record, type) {
+	const token = type === 'track' ? record?.properties?.token ?? record?.$token : record?.$token ?? record?.token;
+	return token === undefined || token === null ? '' : String(token);
+}
+
+module.exports = { parseSDKData, parseRequest, schematizeForWarehouse, flattenAndRenameForWarehouse, tokenOf };
\ No newline at end of file
@@ -3,6 +3,13 @@
  */
 
 
+const { validateTemplate } = require('./lakeKeys.js');
+const { loadExtensions } = require('./schemaExtensions.js');
+const { loadStore } = require('./rateLimit.js');
+const { loadAllowlist } = require('./admin.js');
+const { parseOrigins } = require('./corsConfig.js');
+const { loadRules } = require('./privacy.js');
+
 /** @typedef {import('../types').Targets} Targets */
 /** @typedef {import('../types').EnvVars} Vars */
 
@@ -104,6 +111,40 @@ function validate(PARAMS = { ...process.env }) {
 		redshift_schema_name = ""
 	} = PARAMS;
 
+	// POSTGRES
+	const {
+		postgres_connection_string = "",
+		postgres_host = "",
+		postgres_user = "",
+		postgres_database = ""
+	} = PARAMS;
+
+	// CLICKHOUSE
+	const {
+		clickhouse_url = "",
+		clickhouse_database = ""
+	} = PARAMS;
+
+	// KAFKA
+	const {
+		kafka_brokers = "",
+		kafka_sasl_mechanism = "",
+		kafka_sasl_username = "",
+		kafka_sasl_password = ""
+	} = PARAMS;
+
+	// HTTP (WEBHOOKS)
+	const {
+		http_urls = "",
+		http_format = "",
+		http_headers = ""
+	} = PARAMS;
+
+	// LOCAL FILES
+	const {
+		file_format = ""
+	} = PARAMS;
+
 	// MIXPANEL
 	const {
 		mixpanel_token = ""
@@ -183,6 +224,57 @@ function validate(PARAMS = { ...process.env }) {
 		if (!redshift_schema_name) errors.push(new Error('redshift_schema_name is required'));
 	}
 
+	// postgres
+	if (TARGETS.includes('POSTGRES')) {
+		if (!postgres_connection_string) {
+			if (!postgres_host) errors.push(new Error('postgres_host (or postgres_connection_string) is required'));
+			if (!postgres_user) errors.push(new Error('postgres_user is required'));
+			if (!postgres_database) errors.push(new Error('postgres_database is required'));
+		}
+	}
+
+	// clickhouse
+	if (TARGETS.includes('CLICKHOUSE')) {
+		if (!clickhouse_url) errors.push(new Error('clickhouse_url is required'));
+		if (!clickhouse_database) errors.push(new Error('clickhouse_database is required'));
+	}
+
+	// kafka
+	if (TARGETS.includes('KAFKA')) {
+		if (!kafka_brokers) errors.push(new Error('kafka_brokers is required'));
+		if (kafka_sasl_mechanism) {
+			if (!['plain', 'scram-sha-256', 'scram-sha-512'].includes(kafka_sasl_mechanism.toLowerCase())) errors.push(new Error('kafka_sasl_mechanism must be plain, scram-sha-256 or scram-sha-512'));
+			if (!kafka_sasl_username) errors.push(new Error('kafka_sasl_username is required'));
+			if (!kafka_sasl_password) errors.push(new Error('kafka_sasl_password is required'));
+		}
+	}
+
+	// http
+	if (TARGETS.includes('HTTP')) {
+		if (!http_urls) errors.push(new Error('http_urls is required'));
+		for (const url of http_urls.split(',').map(u => u.trim()).filter(a => a)) {
+			try {
+				new URL(url);
+			}
+			catch (e) {
+				errors.push(new Error(`http_urls: ${url} is not a valid url`));
+			}
+		}
+		if (http_format && !['json', 'ndjson'].includes(http_format.toLowerCase())) errors.push(new Error('http_format must be json or ndjson'));
+		if (http_headers) {
+			try {
+				JSON.parse(http_headers);
+			}
+			catch (e) {
+				errors.push(new Error('http_headers must be a JSON object'));
+			}
+		}
+	}
+
+	if (TARGETS.includes('FILE')) {
+		if (file_format && !['parquet', 'ndjson'].includes(file_format.toLowerCase())) errors.push(new Error('file_format must be parquet or ndjson'));
+	}
+
 	if (TARGETS.includes('MIXPANEL')) {
 		if (!mixpanel_token) {
 			//we don't actually care about this
@@ -208,6 +300,142 @@ function validate(PARAMS = { ...process.env }) {
 		if (!azure_container) errors.push(new Error('azure_container is required'));
 	}
 
+	// DEAD LETTERS
+	const { DEAD_LETTER_LAKE = "" } = PARAMS;
+	if (DEAD_LETTER_LAKE) {
+		if (!['S3', 'GCS', 'AZURE'].includes(DEAD_LETTER_LAKE.toUpperCase())) errors.push(new Error('DEAD_LETTER_LAKE must be one of s3, gcs, azure'));
+		else if (!TARGETS.includes(DEAD_LETTER_LAKE.toUpperCase())) errors.push(new Error('DEAD_LETTER_LAKE must be one of your DESTINATIONS'));
+	}
+
+	const { LAKE_KEY_TEMPLATE = "" } = PARAMS;
+	if (LAKE_KEY_TEMPLATE) {
+		const templateError = validateTemplate(LAKE_KEY_TEMPLATE);
+		if (templateError) errors.push(new Error(templateError));
+	}
+
+	const { LAKE_FORMAT = "" } = PARAMS;
+	if (LAKE_FORMAT && !['json', 'parquet'].includes(LAKE_FORMAT.toLowerCase())) errors.push(new Error('LAKE_FORMAT must be json or parquet'));
+
+	const { PROFILE_STATE = "" } = PARAMS;
+	if (PROFILE_STATE && !['true', 'false'].includes(PROFILE_STATE.toString().toLowerCase())) errors.push(new Error('PROFILE_STATE must be true or false'));
+
+	const { LAKE_ROLLOVER_BYTES = "", LAKE_ROLLOVER_SECONDS = "", RUNTIME = "" } = PARAMS;
+	for (const [name, value] of Object.entries({ LAKE_ROLLOVER_BYTES, LAKE_ROLLOVER_SECONDS })) {
+		if (value && !(parseInt(value) > 0)) errors.push(new Error(`${name} must be a positive number`));
+	}
+	// buffers live in memory (and the WAL on local disk) between requests, which serverless runtimes don't keep
+	if ((LAKE_ROLLOVER_BYTES || LAKE_ROLLOVER_SECONDS) && ['GCP', 'AWS', 'LAMBDA', 'AZURE', 'FUNCTIONS', 'CLOUD_FUNCTIONS'].includes(RUNTIME.toUpperCase())) {
+		errors.push(new Error('LAKE_ROLLOVER_BYTES and LAKE_ROLLOVER_SECONDS need a long-running server (RUNTIME=LOCAL or CLOUD_RUN)'));
+	}
+
+	const { SCHEMA_EXTENSIONS = "" } = PARAMS;
+	if (SCHEMA_EXTENSIONS) {
+		try {
+			loadExtensions(SCHEMA_EXTENSIONS);
+		}
+		catch (e) {
+			errors.push(new Error(e.message));
+		}
+	}
+
+	const { SCHEMA_EVOLUTION = "" } = PARAMS;
+	if (SCHEMA_EVOLUTION && !['additive', 'strict', 'off'].includes(SCHEMA_EVOLUTION.toLowerCase())) errors.push(new Error('SCHEMA_EVOLUTION must be additive, strict or off'));
+
+	const { DEDUPE = "", DEDUPE_WINDOW = "", DEDUPE_WINDOW_SECONDS = "" } = PARAMS;
+	if (DEDUPE && !['true', 'false'].includes(DEDUPE.toString().toLowerCase())) errors.push(new Error('DEDUPE must be true or false'));
+	// snowpipe only runs the pipe's COPY INTO, which can't skip insert_ids already in the table
+	if (DEDUPE.toString().toLowerCase() === 'true' && TARGETS.includes('SNOWFLAKE') && snowflake_pipe) errors.push(new Error('DEDUPE=true does not work with snowflake_pipe; use snowflake_stage without a pipe (or neither)'));
+	for (const [name, value] of Object.entries({ DEDUPE_WINDOW, DEDUPE_WINDOW_SECONDS })) {
+		if (value && !(parseInt(value) > 0)) errors.push(new Error(`${name} must be a positive number`));
+	}
+
+	const { MIXPANEL_SERVICE_ACCOUNT = "", MIXPANEL_PROJECT_ID = "", IMPORT_MAX_BATCH = "" } = PARAMS;
+	if (MIXPANEL_SERVICE_ACCOUNT && !/^[^:]+:.+$/.test(MIXPANEL_SERVICE_ACCOUNT)) errors.push(new Error('MIXPANEL_SERVICE_ACCOUNT must be username:secret'));
+	if (MIXPANEL_SERVICE_ACCOUNT && !MIXPANEL_PROJECT_ID) errors.push(new Error('MIXPANEL_PROJECT_ID is required with MIXPANEL_SERVICE_ACCOUNT'));
+	if (IMPORT_MAX_BATCH && !(parseInt(IMPORT_MAX_BATCH) > 0)) errors.push(new Error('IMPORT_MAX_BATCH must be a positive number'));
+
+	const { MAX_BODY_BYTES = "" } = PARAMS;
+	// bytes, not '50mb'
+	if (MAX_BODY_BYTES && !(/^\d+$/.test(MAX_BODY_BYTES.toString()) && parseInt(MAX_BODY_BYTES) > 0)) errors.push(new Error('MAX_BODY_BYTES must be a positive number (of bytes)'));
+
+	const { HEALTH_PROBE = "", HEALTH_PROBE_TIMEOUT_MS = "", HEALTH_CACHE_SECONDS = "", HEALTH_CRITICAL = "" } = PARAMS;
+	if (HEALTH_PROBE && !['true', 'false'].includes(HEALTH_PROBE.toString().toLowerCase())) errors.push(new Error('HEALTH_PROBE must be true or false'));
+	if (HEALTH_PROBE_TIMEOUT_MS && !(parseInt(HEALTH_PROBE_TIMEOUT_MS) > 0)) errors.push(new Error('HEALTH_PROBE_TIMEOUT_MS must be a positive number'));
+	if (HEALTH_CACHE_SECONDS && !(parseInt(HEALTH_CACHE_SECONDS) >= 0)) errors.push(new Error('HEALTH_CACHE_SECONDS must be 0 or more'));
+	for (const name of HEALTH_CRITICAL.split(',').map(name => name.trim().toUpperCase()).filter(a => a && a !== 'NONE')) {
+		if (!TARGETS.includes(name)) errors.push(new Error(`HEALTH_CRITICAL: ${name} is not one of your DESTINATIONS`));
+	}
+
+	const { OTEL_EXPORTER_OTLP_ENDPOINT = "", OTEL_EXPORTER_OTLP_TRACES_ENDPOINT = "" } = PARAMS;
+	for (const [name, value] of Object.entries({ OTEL_EXPORTER_OTLP_ENDPOINT, OTEL_EXPORTER_OTLP_TRACES_ENDPOINT })) {
+		if (!value) continue;
+		try {
+			new URL(value);
+		}
+		catch (e) {
+			errors.push(new Error(`${name} must be a URL (i.e. http://localhost:4318)`));
+		}
+	}
+
+	const { INGEST_AUTH = "", ALLOWED_TOKENS = "", INGEST_API_KEYS = "", INGEST_HMAC_SECRETS = "", INGEST_HMAC_SKEW_SECONDS = "" } = PARAMS;
+	const authMethods = INGEST_AUTH.split(',').map(method => method.trim().toLowerCase()).filter(a => a);
+	for (const method of authMethods) {
+		if (!['token', 'api_key', 'hmac'].includes(method)) errors.push(new Error(`INGEST_AUTH: ${method} is not a valid method (token, api_key, hmac)`));
+	}
+	if (authMethods.includes('token') && !ALLOWED_TOKENS.trim()) errors.push(new Error('ALLOWED_TOKENS is required when INGEST_AUTH includes token'));
+	if (authMethods.includes('api_key') && !INGEST_API_KEYS.trim()) errors.push(new Error('INGEST_API_KEYS is required when INGEST_AUTH includes api_key'));
+	if (authMethods.includes('hmac') && !INGEST_HMAC_SECRETS.trim()) errors.push(new Error('INGEST_HMAC_SECRETS is required when INGEST_AUTH includes hmac'));
+	for (const [name, value] of Object.entries({ INGEST_API_KEYS, INGEST_HMAC_SECRETS })) {
+		const pairs = value.split(',').map(pair => pair.trim()).filter(a => a);
+		if (pairs.some(pair => !/^[^:]+:.+$/.test(pair))) errors.push(new Error(`${name} must be a comma-separated list of client:secret`));
+	}
+	if (INGEST_HMAC_SKEW_SECONDS && !(parseInt(INGEST_HMAC_SKEW_SECONDS) > 0)) errors.push(new Error('INGEST_HMAC_SKEW_SECONDS must be a positive number'));
+
+	const { RATE_LIMIT_IP_RPS = "", RATE_LIMIT_IP_BURST = "", RATE_LIMIT_TOKEN_RPS = "", RATE_LIMIT_TOKEN_BURST = "", RATE_LIMIT_STORE = "" } = PARAMS;
+	for (const [name, value] of Object.entries({ RATE_LIMIT_IP_RPS, RATE_LIMIT_TOKEN_RPS })) {
+		if (value && !(parseFloat(value) > 0)) errors.push(new Error(`${name} must be a positive number (of requests per second)`));
+	}
+	for (const [name, value] of Object.entries({ RATE_LIMIT_IP_BURST, RATE_LIMIT_TOKEN_BURST })) {
+		if (value && !(parseInt(value) >= 1)) errors.push(new Error(`${name} must be 1 or more`));
+	}
+	if (RATE_LIMIT_STORE) {
+		try {
+			loadStore(RATE_LIMIT_STORE);
+		}
+		catch (e) {
+			errors.push(new Error(e.message));
+		}
+	}
+
+	const { FRONTEND_URL = "", CORS_MAX_AGE = "" } = PARAMS;
+	try {
+		parseOrigins(FRONTEND_URL);
+	}
+	catch (e) {
+		errors.push(new Error(e.message));
+	}
+	if (CORS_MAX_AGE && !/^\d+$/.test(CORS_MAX_AGE.toString())) errors.push(new Error('CORS_MAX_AGE must be 0 or more (seconds)'));
+
+	const { ADMIN_TOKEN = "", ADMIN_IP_ALLOWLIST = "" } = PARAMS;
+	// it can drop every table
+	if (ADMIN_TOKEN && ADMIN_TOKEN.length < 16) errors.push(new Error('ADMIN_TOKEN must be at least 16 characters'));
+	try {
+		loadAllowlist(ADMIN_IP_ALLOWLIST);
+	}
+	catch (e) {
+		errors.push(new Error(e.message));
+	}
+
+	const { PRIVACY_RULES = "", PRIVACY_SALT = "" } = PARAMS;
+	if (PRIVACY_RULES) {
+		try {
+			loadRules(PRIVACY_RULES, PRIVACY_SALT);
+		}
+		catch (e) {
+			errors.push(new Error(e.message));
+		}
+	}
+
 	if (errors.length) {
 		errors.forEach(error => console.error(error.message));
 		// throw the first error
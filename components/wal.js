@@ -0,0 +1,157 @@
+/**
+ * @fileoverview a tiny segment-file write-ahead log (WAL) so buffered records survive crashes, deploys and scale-downs
+ * records are appended (and fsync'd) to the open segment of a stream BEFORE they are acknowledged;
+ * a flush seals the open segment, and sealed segments are only deleted once the flush is acknowledged
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tmpdir } = require('os');
+const log = require('./logger.js');
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
+const WAL_DIR = process.env.WAL_DIR ? path.resolve(process.env.WAL_DIR) : path.resolve(TEMP_DIR, 'wal');
+const WAL_SEGMENT_SIZE = parseInt(process.env.WAL_SEGMENT_SIZE || `${8 * 1024 * 1024}`, 10) || 8 * 1024 * 1024; // roll segments every 8MB
+const SEGMENT_EXT = '.ndjson';
+
+/** @type {Map<string, {segment: number, bytes: number}>} */
+const streams = new Map();
+
+/**
+ * lazily opens a stream; new segments always start after the highest one on disk
+ * @param  {string} stream
+ */
+function getStream(stream) {
+	if (!/^[\w-]+$/.test(stream)) throw new Error(`invalid WAL stream name: ${stream}`);
+	let state = streams.get(stream);
+	if (!state) {
+		fs.mkdirSync(streamDir(stream), { recursive: true });
+		const existing = listSegments(stream);
+		state = { segment: (existing.pop() || 0) + 1, bytes: 0 };
+		streams.set(stream, state);
+	}
+	return state;
+}
+
+/**
+ * durably appends records to the open segment of a stream
+ * @param  {string} stream
+ * @param  {Object[]} records
+ * @returns {number} the segment the records were written to
+ */
+function append(stream, records) {
+	const state = getStream(stream);
+	const segment = state.segment;
+	if (!records.length) return segment;
+	const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+	const fd = fs.openSync(segmentPath(stream, segment), 'a');
+	try {
+		fs.writeSync(fd, lines);
+		fs.fdatasyncSync(fd);
+	}
+	finally {
+		fs.closeSync(fd);
+	}
+	state.bytes += Buffer.byteLength(lines);
+	if (state.bytes >= WAL_SEGMENT_SIZE) {
+		state.segment++;
+		state.bytes = 0;
+	}
+	return segment;
+}
+
+/**
+ * seals the open segment; everything appended so far lives in segments <= the returned id
+ * @param  {string} stream
+ * @returns {number}
+ */
+function seal(stream) {
+	const state = getStream(stream);
+	const sealed = state.segment;
+	state.segment++;
+	state.bytes = 0;
+	return sealed;
+}
+
+/**
+ * deletes every segment <= upTo; call this only after the records have been acknowledged
+ * @param  {string} stream
+ * @param  {number} upTo
+ * @returns {number} the number of segments removed
+ */
+function commit(stream, upTo) {
+	getStream(stream);
+	const segments = listSegments(stream).filter(segment => segment <= upTo);
+	for (const segment of segments) {
+		fs.rmSync(segmentPath(stream, segment), { force: true });
+	}
+	return segments.length;
+}
+
+/**
+ * reads back every record still on disk for a stream (oldest first)
+ * a torn final line (i.e. a crash mid-write) is skipped
+ * @param  {string} stream
+ * @returns {Object[]}
+ */
+function replay(stream) {
+	getStream(stream);
+	const records = [];
+	for (const segment of listSegments(stream)) {
+		const lines = fs.readFileSync(segmentPath(stream, segment), 'utf-8').split('\n').filter(a => a);
+		for (const line of lines) {
+			try {
+				records.push(JSON.parse(line));
+			}
+			catch (e) {
+				log(`[WAL] skipping unreadable line in ${stream} segment #${segment}`);
+			}
+		}
+	}
+	return records;
+}
+
+/**
+ * lists the streams which currently have segments on disk
+ * @returns {string[]}
+ */
+function list() {
+	if (!fs.existsSync(WAL_DIR)) return [];
+	return fs.readdirSync(WAL_DIR, { withFileTypes: true })
+		.filter(entry => entry.isDirectory())
+		.map(entry => entry.name)
+		.filter(stream => listSegments(stream).length);
+}
+
+// HELPERS
+function streamDir(stream) {
+	return path.resolve(WAL_DIR, stream);
+}
+
+function segmentPath(stream, segment) {
+	return path.resolve(streamDir(stream), `${segment.toString().padStart(10, '0')}${SEGMENT_EXT}`);
+}
+
+/**
+ * @param  {string} stream
+ * @returns {number[]} segment ids, ascending
+ */
+function listSegments(stream) {
+	const dir = streamDir(stream);
+	if (!fs.existsSync(dir)) return [];
+	return fs.readdirSync(dir)
+		.filter(file => file.endsWith(SEGMENT_EXT))
+		.map(file => parseInt(file, 10))
+		.filter(segment => !isNaN(segment))
+		.sort((a, b) => a - b);
+}
+
+module.exports = {
+	append,
+	seal,
+	commit,
+	replay,
+	list,
+	WAL_DIR
+};
@@ -6,13 +6,15 @@ AZURE BLOB STORAGE MIDDLEWARE
 
 const { BlobServiceClient, ContainerClient, StorageSharedKeyCredential } = require('@azure/storage-blob');
 const path = require('path');
-const { uid, touch, rm, load } = require('ak-tools');
+const { touch, rm, load } = require('ak-tools');
 const { tmpdir } = require('os');
 const log = require("../components/logger.js");
-const dayjs = require('dayjs');
-const TODAY = dayjs().format('YYYY-MM-DD');
 const { gzipSync } = require('zlib');
 const { insertWithRetry } = require("../components/retries.js");
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const { toParquet, getParquetSchema } = require('../components/parquet.js');
+const lakeBuffer = require('../components/lakeBuffer.js');
+const { keyMatcher } = require('../components/lakeKeys.js');
 
 const NODE_ENV = process.env.NODE_ENV || "prod";
 const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
@@ -42,6 +44,7 @@ let azure_container;
 let isClientReady;
 let isContainerReady;
 let canWriteToContainer;
+let lake_format;
 
 /**
  * Main function to handle Azure Blob Storage data insertion
@@ -74,7 +77,12 @@ async function main(data, type, tableNames) {
 			throw new Error("Invalid Record Type");
 	}
 
-	const result = await insertData(data, targetPrefix);
+	// parquet files are typed, so they get the warehouse columns; json files get the flat records
+	const schema = lake_format === 'parquet' ? getParquetSchema(type) : [];
+	const batch = schema.length ? schematizeForWarehouse(data, schema) : data;
+	// one blob per partition (or per rollover, see lakeBuffer.js)
+	const ext = schema.length ? 'parquet' : 'json';
+	const result = await lakeBuffer.add('azure', type, batch, targetPrefix, ext);
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -88,6 +96,7 @@ async function initializeAzureBlobStorage(tableNames) {
 		azure_container,
 		azure_connection_string
 	} = process.env);
+	lake_format = process.env.LAKE_FORMAT?.toLowerCase() || 'json';
 
 	if (!isClientReady) {
 		isClientReady = await verifyAzureBlobStorageCredentials();
@@ -104,6 +113,9 @@ async function initializeAzureBlobStorage(tableNames) {
 		if (!canWriteToContainer) throw new Error("Could not verify read/write container permissions.");
 	}
 
+	// the buffer writes (and re-writes recovered) files through this
+	lakeBuffer.register('azure', (records, key, type) => insertData(records, key, lake_format === 'parquet' ? getParquetSchema(type) : []));
+
 	return [isClientReady, isContainerReady, canWriteToContainer];
 }
 
@@ -224,19 +236,19 @@ async function verifyReadAndWritePermissions() {
 
 /**
  * Insert data into Azure Blob Storage
- * @param  {FlatData} batch
- * @param  {string} prefix
+ * @param  {FlatData | WarehouseData} batch
+ * @param  {string} fileName the blob name (see lakeKeys.js)
+ * @param  {Schema} [schema] when present, the batch is written as parquet
  * @return {Promise<InsertResult>}
  */
-async function insertData(batch, prefix) {
+async function insertData(batch, fileName, schema = []) {
 	log("[AZURE]: Starting data upload...");
-	if (!prefix) throw new Error("Prefix name not provided.");
-	if (prefix?.endsWith("/")) prefix = prefix.slice(0, -1);
+	if (!fileName) throw new Error("File name not provided.");
 	let result = { status: "born" };
-	const fileName = `${prefix}/${TODAY}_${uid(42)}.json`;
-	const dataToUpload = batch.map(record => JSON.stringify(record)).join('\n');
+	const isParquet = schema.length > 0;
+	const dataToUpload = isParquet ? await toParquet(batch, schema) : batch.map(record => JSON.stringify(record)).join('\n');
 	/** @type {import('@azure/storage-blob').BlockBlobUploadOptions} */
-	const options = { blobHTTPHeaders: { blobContentType: 'application/json' } };
+	const options = { blobHTTPHeaders: { blobContentType: isParquet ? 'application/vnd.apache.parquet' : 'application/json' } };
 	try {
 		const blockBlobClient = containerClient.getBlockBlobClient(fileName);
 		const uploadResult = await blockBlobClient.upload(dataToUpload, dataToUpload.length, options);
@@ -251,21 +263,22 @@ async function insertData(batch, prefix) {
 }
 
 /**
- * Delete container and all blobs. This is a destructive operation.
- * @param  {TableNames} tableNames
+ * Delete every blob written for the mixpanel tables (names which match LAKE_KEY_TEMPLATE for each table). This is a destructive operation.
+ * @param  {Partial<TableNames>} tableNames the tables to delete
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be deleted
  */
-async function deleteAllFiles(tableNames) {
-	log("[AZURE]: Deleting all blobs from container...");
-	const { eventTable, userTable, groupTable } = tableNames;
-	const tables = [eventTable, userTable, groupTable];
+async function deleteAllFiles(tableNames, { dryRun = false } = {}) {
+	log(`[AZURE]: ${dryRun ? 'Listing' : 'Deleting'} blobs in container...`);
+	const matchers = Object.values(tableNames).filter(a => a).map(table => keyMatcher(table));
 	try {
 		const listBlobsResponse = await containerClient.listBlobsFlat();
 		const blobsToDelete = [];
 		for await (const blob of listBlobsResponse) {
-			if (tables.some(t => blob.name.includes(t))) {
+			if (matchers.some(m => m.test(blob.name))) {
 				blobsToDelete.push({ name: blob.name });
 			}
 		}
+		if (dryRun) return { dryRun: true, wouldDrop: blobsToDelete.map(blob => blob.name) };
 		const deletePromises = blobsToDelete.map(blob => containerClient.getBlockBlobClient(blob.name).delete());
 		const deletePromiseResults = await Promise.all(deletePromises);
 		log(`[AZURE]: Deleted ${blobsToDelete.length} blobs from container ${azure_container}.`);
@@ -278,6 +291,24 @@ async function deleteAllFiles(tableNames) {
 
 }
 
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, isContainerReady: isContainerReady === true, canWriteToContainer: canWriteToContainer === true };
+}
+
+/**
+ * a cheap live check for /health: the container still exists
+ */
+async function probe() {
+	if (!containerClient) throw new Error('Azure container client is not initialized');
+	if (!await containerClient.exists()) throw new Error(`container ${azure_container} does not exist`);
+}
+
 main.drop = deleteAllFiles;
 main.init = initializeAzureBlobStorage;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
@@ -135,5 +135,90 @@ const groupsSchema = [
 ];
 
 
+// current state (one row per profile); only used with PROFILE_STATE=true
+const usersStateSchema = [
+	{
+		"name": "distinct_id",
+		"type": "STRING",
+		"mode": "REQUIRED",
+		"description": "The Mixpanel distinct ID (user ID)"
+	},
+	{
+		"name": "token",
+		"type": "STRING",
+		"mode": "NULLABLE",
+		"description": "The Mixpanel project token"
+	},
+	{
+		"name": "properties",
+		"type": "JSON",
+		"mode": "NULLABLE",
+		"description": "The user's current profile properties"
+	},
+	{
+		"name": "version",
+		"type": "INT64",
+		"mode": "REQUIRED",
+		"description": "Incremented by every update; used to detect concurrent updates"
+	},
+	{
+		"name": "last_batch",
+		"type": "STRING",
+		"mode": "NULLABLE",
+		"description": "The batch which last updated the profile"
+	},
+	{
+		"name": "updated_time",
+		"type": "TIMESTAMP",
+		"mode": "NULLABLE",
+		"description": "The time the profile was last updated"
+	}
+];
+
+const groupsStateSchema = [
+	{
+		"name": "group_key",
+		"type": "STRING",
+		"mode": "REQUIRED",
+		"description": "The Mixpanel group key"
+	},
+	{
+		"name": "group_id",
+		"type": "STRING",
+		"mode": "REQUIRED",
+		"description": "The Mixpanel group ID"
+	},
+	{
+		"name": "token",
+		"type": "STRING",
+		"mode": "NULLABLE",
+		"description": "The Mixpanel project token"
+	},
+	{
+		"name": "properties",
+		"type": "JSON",
+		"mode": "NULLABLE",
+		"description": "The group's current properties"
+	},
+	{
+		"name": "version",
+		"type": "INT64",
+		"mode": "REQUIRED",
+		"description": "Incremented by every update; used to detect concurrent updates"
+	},
+	{
+		"name": "last_batch",
+		"type": "STRING",
+		"mode": "NULLABLE",
+		"description": "The batch which last updated the group"
+	},
+	{
+		"name": "updated_time",
+		"type": "TIMESTAMP",
+		"mode": "NULLABLE",
+		"description": "The time the group was last updated"
+	}
+];
+
 
-module.exports = { eventsSchema, usersSchema, groupsSchema };
\ No newline at end of file
+module.exports = { eventsSchema, usersSchema, groupsSchema, usersStateSchema, groupsStateSchema };
\ No newline at end of file
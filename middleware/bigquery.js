@@ -13,6 +13,11 @@ const NODE_ENV = process.env.NODE_ENV || "prod";
 const u = require("ak-tools");
 const { schematizeForWarehouse } = require('../components/transforms.js');
 const { insertWithRetry } = require("../components/retries.js");
+const deadLetter = require("../components/deadLetter.js");
+const { stateTableName, withStateTables, profileKeys, updateProfileState } = require("../components/profileState.js");
+const { extendSchema, toColumns, clusterColumns } = require("../components/schemaExtensions.js");
+const { evolveTable, migrationsSchema, migrationsTableName } = require("../components/schemaEvolution.js");
+const dedupe = require("../components/dedupe.js");
 const schemas = require("./bigquery-schemas.js");
 const log = require("../components/logger.js");
 if (NODE_ENV === 'test') {
@@ -41,6 +46,8 @@ let bigquery_service_account_private_key;
 let isClientReady;
 let isDatasetReady;
 let areTablesReady;
+let profile_state;
+let areStateTablesReady;
 
 
 
@@ -79,7 +86,32 @@ async function main(data, type, tableNames) {
 	const table = client.dataset(bigquery_dataset).table(targetTable);
 
 	// @ts-ignore
-	const result = await insertWithRetry(insertData, data, table, getBigQuerySchema(type));
+	const { failedRecords, ...result } = await insertWithRetry(insertData, data, table, getBigQuerySchema(type), { destination: 'bigquery' });
+	if (failedRecords?.length) {
+		result.deadLetter = await deadLetter.write(failedRecords, {
+			destination: "bigquery",
+			type,
+			table: targetTable,
+			error: result.errors?.join('; ') || "partial failure",
+			attempts: 1
+		});
+	}
+
+	// keep <table>_current up to date; the raw rows are already in, so a failure here is reported but not retried
+	if (profile_state && type !== "track") {
+		const stateTable = stateTableName(targetTable);
+		try {
+			// rejected rows are dead-lettered (and re-driven) on their own
+			const accepted = failedRecords?.length ? data.filter(record => !failedRecords.includes(record)) : data;
+			const rows = schematizeForWarehouse(accepted, getBigQuerySchema(type));
+			const store = { read: (keys) => readProfiles(stateTable, keys, type), write: (updates) => mergeProfiles(stateTable, updates, type) };
+			result.meta = { ...result.meta, profileState: await updateProfileState(`bigquery:${stateTable}`, rows, type, store) };
+		}
+		catch (e) {
+			log(`[BIGQUERY] Error updating ${stateTable}: ${e.message}`, e);
+			result.meta = { ...result.meta, profileState: { status: "error", error: e.message } };
+		}
+	}
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -90,6 +122,7 @@ async function initializeBigQuery(tableNames) {
 	// ENV STUFF
 	({ bigquery_dataset = "", bigquery_project, bigquery_keyfile, bigquery_service_account_email, bigquery_service_account_private_key } =
 		process.env);
+	profile_state = process.env.PROFILE_STATE?.toString()?.toLowerCase() === 'true';
 	const { eventTable, userTable, groupTable } = tableNames;
 	if (!isClientReady) {
 		isClientReady = await verifyBigQueryCredentials();
@@ -107,6 +140,12 @@ async function initializeBigQuery(tableNames) {
 		if (!areTablesReady) throw new Error("Table verification or creation failed.");
 	}
 
+	if (profile_state && !areStateTablesReady) {
+		const tableCheckResults = await verifyOrCreateTables([["user_current", stateTableName(userTable)], ["group_current", stateTableName(groupTable)]]);
+		areStateTablesReady = tableCheckResults.every(result => result);
+		if (!areStateTablesReady) throw new Error("Profile state table verification or creation failed.");
+	}
+
 	return [isClientReady, isDatasetReady, areTablesReady];
 }
 
@@ -160,7 +199,7 @@ async function verifyOrCreateDataset() {
 	return true;
 }
 /**
- * @param  {['track' | 'user' | 'group', string][]} tableNames
+ * @param  {['track' | 'user' | 'group' | 'user_current' | 'group_current', string][]} tableNames
  */
 async function verifyOrCreateTables(tableNames) {
 	const results = [];
@@ -175,7 +214,7 @@ async function verifyOrCreateTables(tableNames) {
 
 			/** @type {import('@google-cloud/bigquery').TableMetadata} */
 			const tableMetaData = {
-				schema: tableSchema,
+				schema: toColumns(tableSchema),
 				timePartitioning: {
 					type: 'DAY',
 					field: type === "track" ? "event_time" : "insert_time"
@@ -188,6 +227,12 @@ async function verifyOrCreateTables(tableNames) {
 			if (type === "track") tableMetaData?.clustering?.fields?.push("event");
 			if (type === "user") tableMetaData?.clustering?.fields?.push("distinct_id");
 			if (type === "group") tableMetaData?.clustering?.fields?.push("group_id");
+			tableMetaData?.clustering?.fields?.push(...clusterColumns(type));
+			// state tables have one row per profile; no partitions
+			if (type === "user_current" || type === "group_current") {
+				delete tableMetaData.timePartitioning;
+				tableMetaData?.clustering?.fields?.push(...profileKeys(type.replace('_current', '')));
+			}
 
 
 			const [newTable] = await client.dataset(bigquery_dataset).createTable(table, tableMetaData);
@@ -204,6 +249,8 @@ async function verifyOrCreateTables(tableNames) {
 			}
 		} else {
 			log(`[BIGQUERY] Table ${table} already exists.`);
+			// @ts-ignore
+			await evolveTable('bigquery', table, getBigQuerySchema(type), schemaAdapter);
 			const isTableReady = await waitForTableToBeReady(client.dataset(bigquery_dataset).table(table));
 			if (isTableReady) results.push(true);
 			else results.push(false);
@@ -213,6 +260,34 @@ async function verifyOrCreateTables(tableNames) {
 	return results;
 }
 
+/**
+ * schema evolution (see schemaEvolution.js); columns are added by patching the table's schema
+ * @type {import('../components/schemaEvolution.js').SchemaAdapter}
+ */
+const schemaAdapter = {
+	async describe(tableName) {
+		const [metadata] = await client.dataset(bigquery_dataset).table(tableName).getMetadata();
+		return (metadata.schema?.fields || []).map(f => ({ name: f.name, type: f.type }));
+	},
+	async addColumns(tableName, fields) {
+		const table = client.dataset(bigquery_dataset).table(tableName);
+		const [metadata] = await table.getMetadata();
+		// existing rows have no value for a new column, so it can't be REQUIRED
+		const added = toColumns(fields).map(f => ({ ...f, mode: 'NULLABLE' }));
+		await table.setMetadata({ schema: { fields: [...(metadata.schema?.fields || []), ...added] } });
+	},
+	async record(migrations) {
+		const table = `\`${bigquery_dataset}.${migrationsTableName()}\``;
+		const columns = migrationsSchema('bigquery');
+		await client.query(`CREATE TABLE IF NOT EXISTS ${table} (${columns.map(f => `${f.name} ${f.type}`).join(', ')})`);
+		await client.query({
+			query: `INSERT INTO ${table} (${columns.map(f => f.name).join(', ')})
+				SELECT table_name, column_name, column_type, TIMESTAMP(applied_time), proxy_version FROM UNNEST(@migrations)`,
+			params: { migrations }
+		});
+	}
+};
+
 async function waitForTableToBeReady(table, retries = 20, maxInsertAttempts = 20) {
 	log("[BIGQUERY] Checking if table exits...");
 	const tableName = table.id;
@@ -276,13 +351,21 @@ async function insertData(batch, table, schema) {
 		ignoreUnknownValues: false,
 		raw: false,
 		partialRetries: 3,
-		schema: schema,
+		schema: toColumns(schema),
 	};
 
+	let rows = [];
 	try {
-		const rows = schematizeForWarehouse(batch, schema);
+		rows = schematizeForWarehouse(batch, schema);
 		// for JSON columns, BQ wants a string
-		rows.forEach(row => row.properties = JSON.stringify(row.properties));
+		const jsonColumns = schema.filter(f => f.type === 'JSON').map(f => f.name);
+		rows.forEach(row => jsonColumns.forEach(name => { if (row[name] !== undefined) row[name] = JSON.stringify(row[name]); }));
+		// BQ drops rows whose insertId it has seen recently (best effort, ~1 minute), so a retried insert doesn't duplicate events
+		// by default the client makes up a new insertId on every attempt
+		if (dedupe.isEnabled() && schema.some(f => f.name === 'insert_id')) {
+			options.raw = true;
+			rows = rows.map(row => row.insert_id ? { insertId: String(row.insert_id), json: row } : { json: row });
+		}
 		const [response] = await table.insert(rows, options);
 		result = { status: "success", insertedRows: rows.length, failedRows: 0 };
 	} catch (error) {
@@ -291,13 +374,15 @@ async function insertData(batch, table, schema) {
 			const failedRows = error.errors.length;
 			const insertedRows = batch.length - failedRows;
 			const uniqueErrors = Array.from(new Set(error.errors.map((e) => e.errors.map((e) => e.message)).flat()));
+			// map the rejected rows back to the (flat) records we were given so they can be dead-lettered + re-driven
+			const failedRecords = error.errors.map((e) => batch[rows.indexOf(e.row)] || e.row);
 			result = {
 				status: "error",
 				type: "partial failure",
 				failedRows,
 				insertedRows,
 				errors: uniqueErrors,
-
+				failedRecords
 			};
 			log(`[BIGQUERY] Partial failure`);
 		}
@@ -314,6 +399,50 @@ async function insertData(batch, table, schema) {
 	return { ...result };
 }
 
+/**
+ * the current rows for some profiles
+ * @param  {string} stateTable
+ * @param  {Object[]} keys i.e. [{distinct_id: 'foo'}]
+ * @param  {Endpoints} type
+ */
+async function readProfiles(stateTable, keys, type) {
+	const keyColumns = profileKeys(type);
+	const query = `
+		SELECT ${keyColumns.map(k => `T.${k}`).join(', ')}, TO_JSON_STRING(T.properties) AS properties, T.version, T.last_batch
+		FROM \`${bigquery_dataset}.${stateTable}\` T
+		JOIN UNNEST(@keys) S ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}`;
+	const [rows] = await client.query({ query, params: { keys } });
+	return rows;
+}
+
+/**
+ * upserts (or deletes) profiles; rows which changed since they were read (version != base_version) are left alone
+ * @param  {string} stateTable
+ * @param  {import('../components/profileState').ProfileUpdate[]} updates
+ * @param  {Endpoints} type
+ * @returns {Promise<number>} how many rows the MERGE inserted, updated or deleted
+ */
+async function mergeProfiles(stateTable, updates, type) {
+	const keyColumns = profileKeys(type);
+	const columns = [...keyColumns, 'token', 'properties', 'version', 'last_batch', 'updated_time'];
+	const values = [...keyColumns.map(k => `S.${k}`), 'S.token', 'PARSE_JSON(S.properties)', '1', 'S.batch_id', 'CURRENT_TIMESTAMP()'];
+	const query = `
+		MERGE \`${bigquery_dataset}.${stateTable}\` T
+		USING (SELECT * FROM UNNEST(@updates)) S
+		ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}
+		WHEN MATCHED AND T.version = S.base_version AND S.deleted THEN DELETE
+		WHEN MATCHED AND T.version = S.base_version THEN
+			UPDATE SET token = S.token, properties = PARSE_JSON(S.properties), version = T.version + 1, last_batch = S.batch_id, updated_time = CURRENT_TIMESTAMP()
+		WHEN NOT MATCHED AND S.base_version = 0 AND NOT S.deleted THEN
+			INSERT (${columns.join(', ')}) VALUES (${values.join(', ')})`;
+	const [job] = await client.createQueryJob({ query, params: { updates } });
+	await job.getQueryResults();
+	const [metadata] = await job.getMetadata();
+	const affected = Number(metadata?.statistics?.query?.numDmlAffectedRows) || 0;
+	log(`[BIGQUERY] merged ${affected} of ${updates.length} profiles into ${stateTable}`);
+	return affected;
+}
+
 /**
  * @param  {Entities & Endpoints} type
  */
@@ -325,23 +454,27 @@ function getBigQuerySchema(type) {
 		engage: schemas.usersSchema,
 		group: schemas.groupsSchema,
 		groups: schemas.groupsSchema,
+		user_current: schemas.usersStateSchema,
+		group_current: schemas.groupsStateSchema,
 	};
 	const schema = schemaMappings[type];
 	if (!schema) throw new Error("Invalid Record Type");
-	return schema;
+	return extendSchema(schema, type, 'bigquery');
 }
 
 /**
- * drops all 3 mixpanel tables... this is a destructive operation
- * @param  {TableNames} tableNames
+ * drops the mixpanel tables (and their _current state tables)... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to drop
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be dropped
  */
-async function dropTables(tableNames) {
-	log("[BIGQUERY] Dropping all tables...");
+async function dropTables(tableNames, { dryRun = false } = {}) {
+	log(`[BIGQUERY] ${dryRun ? 'Listing' : 'Dropping'} tables...`);
 	const [allTables] = await client.dataset(bigquery_dataset).getTables();
 	const droppedTables = [];
-	const targetTables = Object.values(tableNames);
+	const targetTables = withStateTables(tableNames, profile_state);
 	// @ts-ignore
 	const tablesToDrop = allTables.filter((table) => targetTables.includes(table.id));
+	if (dryRun) return { dryRun: true, wouldDrop: tablesToDrop.map(table => table.id) };
 	const dropPromises = tablesToDrop.map(async (table) => {
 		droppedTables.push(table.id);
 		const [tableDropResult] = await table.delete();
@@ -352,8 +485,31 @@ async function dropTables(tableNames) {
 
 }
 
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return {
+		isClientReady: isClientReady === true,
+		isDatasetReady: isDatasetReady === true,
+		areTablesReady: areTablesReady === true,
+		...(profile_state ? { areStateTablesReady: areStateTablesReady === true } : {})
+	};
+}
+
+/**
+ * a cheap live check for /health: reads the dataset's metadata (no query job)
+ */
+async function probe() {
+	if (!client) throw new Error('BigQuery client is not initialized');
+	await client.dataset(bigquery_dataset).getMetadata();
+}
+
 main.drop = dropTables;
 main.init = initializeBigQuery;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
 
 
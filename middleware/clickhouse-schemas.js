@@ -0,0 +1,98 @@
+// the columns in each table's ORDER BY can't be Nullable, so they default to empty strings / the epoch instead
+const eventsSchema = [
+	{
+		"name": "event",
+		"type": "LowCardinality(String)"
+	},
+	{
+		"name": "event_time",
+		"type": "DateTime64(3, 'UTC')"
+	},
+	{
+		"name": "insert_time",
+		"type": "DateTime64(3, 'UTC')"
+	},
+	{
+		"name": "token",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "device_id",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "insert_id",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "user_id",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "distinct_id",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "properties",
+		"type": "String"
+	}
+];
+
+const usersSchema = [
+	{
+		"name": "token",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "distinct_id",
+		"type": "String"
+	},
+	{
+		"name": "ip",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "insert_time",
+		"type": "DateTime64(3, 'UTC')"
+	},
+	{
+		"name": "operation",
+		"type": "LowCardinality(String)"
+	},
+	{
+		"name": "properties",
+		"type": "String"
+	}
+];
+
+
+const groupsSchema = [
+	{
+		"name": "token",
+		"type": "Nullable(String)"
+	},
+	{
+		"name": "group_key",
+		"type": "String"
+	},
+	{
+		"name": "group_id",
+		"type": "String"
+	},
+	{
+		"name": "operation",
+		"type": "LowCardinality(String)"
+	},
+	{
+		"name": "insert_time",
+		"type": "DateTime64(3, 'UTC')"
+	},
+	{
+		"name": "properties",
+		"type": "String"
+	}
+];
+
+
+
+module.exports = { eventsSchema, usersSchema, groupsSchema };
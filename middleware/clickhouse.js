@@ -0,0 +1,361 @@
+/*
+----
+CLICKHOUSE MIDDLEWARE
+----
+*/
+const log = require('../components/logger.js');
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const schemas = require('./clickhouse-schemas.js');
+const { insertWithRetry } = require("../components/retries.js");
+const { extendSchema } = require("../components/schemaExtensions.js");
+const { evolveTable, migrationsSchema, migrationsTableName } = require("../components/schemaEvolution.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+if (NODE_ENV === 'test') {
+	log.verbose(true);
+	log.cli(true);
+}
+
+// CORE MIDDLEWARE CONTRACT
+/** @typedef {import('../types').Entities} Entities */
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').Schema} Schema */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').SchematizedData} WarehouseData */
+/** @typedef {import('../types').FlatData} FlatData */
+
+// Cached variables to run once when the server starts
+let clickhouse_url;
+let clickhouse_user;
+let clickhouse_password;
+let clickhouse_database;
+let isClientReady;
+let isDatabaseReady;
+let areTablesReady;
+
+/**
+ * Main function to handle ClickHouse data insertion
+ * this function is called in the main server.js file
+ * and will be called repeatedly as clients stream data in (from client-side SDKs)
+ * @param  {FlatData} data
+ * @param  {Endpoints} type
+ * @param  {TableNames} tableNames
+ * @return {Promise<InsertResult>}
+ */
+async function main(data, type, tableNames) {
+	const startTime = Date.now();
+	const init = await initializeClickHouse(tableNames);
+	if (!init.every(i => i)) throw new Error("Failed to initialize ClickHouse middleware.");
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	// Determine the target table based on the record type
+	let targetTable;
+	switch (type) {
+		case "track":
+			targetTable = eventTable;
+			break;
+		case "engage":
+			targetTable = userTable;
+			break;
+		case "groups":
+			targetTable = groupTable;
+			break;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+
+	const schema = getClickHouseSchema(type);
+	const preparedData = schematizeForWarehouse(data, schema);
+	const result = await insertWithRetry(insertData, preparedData, targetTable, schema, { destination: 'clickhouse' });
+	const duration = Date.now() - startTime;
+	result.duration = duration;
+	return result;
+}
+
+async function initializeClickHouse(tableNames) {
+	// Environment variables
+	({
+		clickhouse_url,
+		clickhouse_user = "default",
+		clickhouse_password = "",
+		clickhouse_database = "default"
+	} = process.env);
+
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	if (!isClientReady) {
+		isClientReady = await verifyClickHouseCredentials();
+		if (!isClientReady) throw new Error("ClickHouse credentials verification failed.");
+	}
+
+	if (!isDatabaseReady) {
+		isDatabaseReady = await verifyOrCreateDatabase();
+		if (!isDatabaseReady) throw new Error("Database verification or creation failed.");
+	}
+
+	if (!areTablesReady) {
+		const tableCheckResults = await verifyOrCreateTables([["track", eventTable], ["user", userTable], ["group", groupTable]]);
+		areTablesReady = tableCheckResults.every(result => result);
+		if (!areTablesReady) throw new Error("Table verification or creation failed.");
+	}
+
+	return [isClientReady, isDatabaseReady, areTablesReady];
+}
+
+async function verifyClickHouseCredentials() {
+	try {
+		const { text } = await executeSQL('SELECT 1');
+		if (text.trim() === '1') {
+			log('[CLICKHOUSE] credentials are valid.');
+			return true;
+		}
+		throw new Error(`unexpected response: ${text}`);
+	} catch (error) {
+		log('[CLICKHOUSE] Error verifying ClickHouse credentials:', error);
+		return false;
+	}
+}
+
+async function verifyOrCreateDatabase() {
+	await executeSQL(`CREATE DATABASE IF NOT EXISTS ${quote(clickhouse_database)}`);
+	log(`[CLICKHOUSE] Database ${clickhouse_database} is ready.`);
+	return true;
+}
+
+async function verifyOrCreateTables(tableNames) {
+	const results = [];
+
+	for (const [type, table] of tableNames) {
+		const tableExists = await checkIfTableExists(table);
+		if (!tableExists) {
+			log(`[CLICKHOUSE] Table ${table} does not exist. Creating...`);
+			await createTable(table, type);
+			const created = await checkIfTableExists(table);
+			if (created) log(`[CLICKHOUSE] Table ${table} created.`);
+			else log(`[CLICKHOUSE] Failed to create table ${table}`);
+			results.push(created);
+		} else {
+			log(`[CLICKHOUSE] Table ${table} already exists.`);
+			await evolveTable('clickhouse', table, getClickHouseSchema(type), schemaAdapter);
+			results.push(true);
+		}
+	}
+
+	return results;
+}
+
+/**
+ * schema evolution (see schemaEvolution.js)
+ * @type {import('../components/schemaEvolution.js').SchemaAdapter}
+ */
+const schemaAdapter = {
+	async describe(tableName) {
+		const { text } = await executeSQL(`SELECT name, type FROM system.columns WHERE database = ${literal(clickhouse_database)} AND table = ${literal(tableName)} FORMAT JSONEachRow`);
+		return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+	},
+	async addColumns(tableName, fields) {
+		const columns = fields.map(f => `ADD COLUMN IF NOT EXISTS ${quote(f.name)} ${f.type}`).join(', ');
+		await executeSQL(`ALTER TABLE ${qualified(tableName)} ${columns}`);
+	},
+	async record(migrations) {
+		const columns = migrationsSchema('clickhouse').map(f => `${quote(f.name)} ${f.type}`).join(', ');
+		await executeSQL(`CREATE TABLE IF NOT EXISTS ${qualified(migrationsTableName())} (${columns}) ENGINE = MergeTree ORDER BY tuple()`);
+		await executeSQL(`INSERT INTO ${qualified(migrationsTableName())} FORMAT JSONEachRow`, migrations.map(migration => JSON.stringify(migration)).join('\n'));
+	}
+};
+
+async function checkIfTableExists(tableName) {
+	const { text } = await executeSQL(`EXISTS TABLE ${qualified(tableName)}`);
+	return text.trim() === '1';
+}
+
+async function createTable(tableName, type) {
+	const columns = getClickHouseSchema(type).map(f => `${quote(f.name)} ${f.type}`).join(", ");
+	const createTableQuery = `CREATE TABLE IF NOT EXISTS ${qualified(tableName)} (${columns}) ${getTableEngine(type)}`;
+	return await executeSQL(createTableQuery);
+}
+
+/**
+ * events are append-only; profiles are "last write wins" so they collapse to one row per entity (on merge)
+ * @param  {string} type
+ */
+function getTableEngine(type) {
+	switch (type) {
+		case "track":
+		case "event":
+			return `ENGINE = MergeTree PARTITION BY toYYYYMM(event_time) ORDER BY (event, event_time)`;
+		case "engage":
+		case "user":
+			return `ENGINE = ReplacingMergeTree(insert_time) ORDER BY distinct_id`;
+		case "groups":
+		case "group":
+			return `ENGINE = ReplacingMergeTree(insert_time) ORDER BY (group_key, group_id)`;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+}
+
+/**
+ * insert data into clickhouse as JSONEachRow (one request per batch)
+ * @param  {WarehouseData} batch
+ * @param  {string} table
+ * @param  {Schema} schema
+ * @return {Promise<InsertResult>}
+ */
+async function insertData(batch, table, schema) {
+	log("[CLICKHOUSE] Starting data insertion...");
+	let result = { status: "born", dest: "clickhouse" };
+
+	const rows = batch.map(row => prepareRow(row, schema));
+	const body = rows.map(row => JSON.stringify(row)).join('\n');
+	const start = Date.now();
+	const { summary } = await executeSQL(`INSERT INTO ${qualified(table)} FORMAT JSONEachRow`, body);
+	const duration = Date.now() - start;
+
+	const insertedRows = parseInt(summary?.written_rows, 10) || batch.length;
+	result = { ...result, duration, status: 'success', insertedRows, failedRows: batch.length - insertedRows };
+	log('[CLICKHOUSE] Data insertion complete;');
+	return result;
+}
+
+/**
+ * nulls are omitted so non-nullable (sorting key) columns get their defaults; properties are stored as JSON text
+ * @param  {Object} row
+ * @param  {Schema} schema
+ */
+function prepareRow(row, schema) {
+	const prepared = {};
+	for (const field of schema) {
+		const value = row[field.name];
+		if (value === null || value === undefined || value === "") continue;
+		prepared[field.name] = typeof value === 'object' ? JSON.stringify(value) : value;
+	}
+	return prepared;
+}
+
+
+function getClickHouseSchema(type) {
+	const schemaMappings = {
+		event: schemas.eventsSchema,
+		track: schemas.eventsSchema,
+		user: schemas.usersSchema,
+		engage: schemas.usersSchema,
+		group: schemas.groupsSchema,
+		groups: schemas.groupsSchema,
+	};
+	const schema = schemaMappings[type];
+	if (!schema) throw new Error("Invalid Record Type");
+	return extendSchema(schema, type, 'clickhouse');
+}
+
+/**
+ * runs a query over ClickHouse's HTTP interface
+ * unreachable hosts are re-thrown as 'NetworkError' and 429/5xx carry a statusCode, so insertWithRetry can retry them
+ * @param {string} sql
+ * @param {string} [body] rows to insert; when present, the query is sent as a URL param
+ * @returns {Promise<{text: string, summary: Object}>}
+ */
+async function executeSQL(sql, body = undefined) {
+	const url = new URL(clickhouse_url);
+	url.searchParams.set('database', clickhouse_database);
+	// ISO timestamps (with a 'Z') are what schematizeForWarehouse produces
+	url.searchParams.set('date_time_input_format', 'best_effort');
+	url.searchParams.set('input_format_skip_unknown_fields', '1');
+	if (body !== undefined) url.searchParams.set('query', sql);
+
+	let response;
+	try {
+		response = await fetch(url, {
+			method: 'POST',
+			body: body === undefined ? sql : body,
+			headers: {
+				'X-ClickHouse-User': clickhouse_user,
+				'X-ClickHouse-Key': clickhouse_password,
+				'Content-Type': 'text/plain; charset=utf-8'
+			}
+		});
+	}
+	catch (error) {
+		log(`[CLICKHOUSE] Failed executing SQL: ${error.message}`);
+		throw new Error('NetworkError');
+	}
+
+	const text = await response.text();
+	if (!response.ok) {
+		log(`[CLICKHOUSE] Failed executing SQL: ${response.status} ${text.trim()}`);
+		if (NODE_ENV === 'test') debugger;
+		const error = new Error(text.trim() || response.statusText);
+		// @ts-ignore
+		error.statusCode = response.status;
+		throw error;
+	}
+
+	let summary = {};
+	try {
+		summary = JSON.parse(response.headers.get('x-clickhouse-summary') || '{}');
+	}
+	catch (e) {
+		// older servers don't always send a summary
+	}
+	return { text, summary };
+}
+
+function quote(identifier) {
+	return `\`${identifier.replace(/\\/g, '\\\\').replace(/`/g, '\\`')}\``;
+}
+
+/**
+ * a string literal (i.e. a database or table name in a WHERE clause)
+ * @param  {string} value
+ */
+function literal(value) {
+	return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function qualified(tableName) {
+	return `${quote(clickhouse_database)}.${quote(tableName)}`;
+}
+
+
+/**
+ * drops the mixpanel tables... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to drop
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be dropped
+ */
+async function dropTables(tableNames, { dryRun = false } = {}) {
+	const targetTables = Object.values(tableNames).filter(a => a);
+	if (dryRun) return { dryRun: true, wouldDrop: targetTables.map(table => qualified(table)) };
+	log(`[CLICKHOUSE] Dropping tables...`);
+	const droppedTables = [];
+	for (const table of targetTables) {
+		await executeSQL(`DROP TABLE IF EXISTS ${qualified(table)}`);
+		droppedTables.push(table);
+	}
+	areTablesReady = false;
+	log(`[CLICKHOUSE] Dropped tables: ${targetTables.join(', ')}`);
+	return { numDropped: droppedTables.length, tablesDropped: droppedTables };
+}
+
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, isDatabaseReady: isDatabaseReady === true, areTablesReady: areTablesReady === true };
+}
+
+/**
+ * a cheap live check for /health over the HTTP interface
+ */
+async function probe() {
+	if (!clickhouse_url) throw new Error('ClickHouse is not initialized');
+	const { text } = await executeSQL('SELECT 1');
+	if (text.trim() !== '1') throw new Error(`unexpected response: ${text}`);
+}
+
+main.drop = dropTables;
+main.init = initializeClickHouse;
+main.status = getStatus;
+main.probe = probe;
+module.exports = main;
@@ -0,0 +1,190 @@
+/*
+----
+LOCAL FILE MIDDLEWARE
+----
+*/
+
+const path = require('path');
+const { tmpdir } = require('os');
+const { constants } = require('fs');
+const { mkdir, writeFile, appendFile, rm, access } = require('fs/promises');
+const { randomUUID } = require('crypto');
+const dayjs = require('dayjs');
+const log = require("../components/logger.js");
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const { toParquet } = require('../components/parquet.js');
+const { extendSchema } = require('../components/schemaExtensions.js');
+const schemas = require('./bigquery-schemas.js');
+const { insertWithRetry } = require("../components/retries.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
+const FORMATS = ['parquet', 'ndjson'];
+if (NODE_ENV === 'test') {
+	log.verbose(true);
+	log.cli(true);
+}
+
+// CORE MIDDLEWARE CONTRACT
+/** @typedef {import('../types').Entities} Entities */
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').Schema} Schema */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').SchematizedData} WarehouseData */
+/** @typedef {import('../types').FlatData} FlatData */
+
+// These vars should be cached and only run once when the server starts
+let file_dir;
+let file_format;
+let isDirReady;
+
+/**
+ * Main function to handle local file writes
+ * every table is a directory with one sub-directory per day (<file_dir>/<table>/<YYYY-MM-DD>/)
+ * parquet writes one file per batch; ndjson appends to one file per day
+ * @param  {FlatData} data
+ * @param  {Endpoints} type
+ * @param  {TableNames} tableNames
+ * @return {Promise<InsertResult>}
+ */
+async function main(data, type, tableNames) {
+	const startTime = Date.now();
+	const init = await initializeFile(tableNames);
+	if (!init.every(i => i)) throw new Error("Failed to initialize file middleware.");
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	let targetTable;
+	switch (type) {
+		case "track":
+			targetTable = eventTable;
+			break;
+		case "engage":
+			targetTable = userTable;
+			break;
+		case "groups":
+			targetTable = groupTable;
+			break;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+
+	const schema = getFileSchema(type);
+	const preparedData = schematizeForWarehouse(data, schema);
+	const result = await insertWithRetry(insertData, preparedData, targetTable, schema, { destination: 'file' });
+	const duration = Date.now() - startTime;
+	result.duration = duration;
+	return result;
+}
+
+async function initializeFile(tableNames) {
+	// ENV STUFF
+	({
+		file_dir = path.resolve(TEMP_DIR, 'warehouse'),
+		file_format = 'parquet'
+	} = process.env);
+	file_dir = path.resolve(file_dir);
+	file_format = file_format.toLowerCase();
+	if (!FORMATS.includes(file_format)) throw new Error(`file_format must be one of ${FORMATS.join(', ')}`);
+
+	if (!isDirReady) {
+		isDirReady = await verifyOrCreateDir();
+		if (!isDirReady) throw new Error(`Could not create or write to ${file_dir}`);
+	}
+
+	return [isDirReady];
+}
+
+async function verifyOrCreateDir() {
+	try {
+		await mkdir(file_dir, { recursive: true });
+		await access(file_dir, constants.W_OK);
+		log(`[FILE] writing ${file_format} files to ${file_dir}`);
+		return true;
+	} catch (error) {
+		log(`[FILE] Error preparing ${file_dir}:`, error);
+		return false;
+	}
+}
+
+/**
+ * write a batch to disk
+ * @param  {WarehouseData} batch
+ * @param  {string} table
+ * @param  {Schema} schema
+ * @return {Promise<InsertResult>}
+ */
+async function insertData(batch, table, schema) {
+	log("[FILE] Starting data insertion...");
+	let result = { status: "born", dest: "file" };
+	const start = Date.now();
+	const dir = path.resolve(file_dir, table, dayjs().format('YYYY-MM-DD'));
+	await mkdir(dir, { recursive: true });
+
+	let filePath;
+	if (file_format === 'parquet') {
+		filePath = path.resolve(dir, `${dayjs().format('HH-mm-ss-SSS')}_${randomUUID()}.parquet`);
+		await writeFile(filePath, await toParquet(batch, schema));
+	}
+	else {
+		filePath = path.resolve(dir, `${table}.ndjson`);
+		await appendFile(filePath, batch.map(record => JSON.stringify(record)).join('\n') + '\n');
+	}
+
+	const duration = Date.now() - start;
+	result = { ...result, duration, status: 'success', insertedRows: batch.length, failedRows: 0, file: filePath };
+	log("[FILE] Data insertion complete.");
+	return result;
+}
+
+function getFileSchema(type) {
+	const schemaMappings = {
+		event: schemas.eventsSchema,
+		track: schemas.eventsSchema,
+		user: schemas.usersSchema,
+		engage: schemas.usersSchema,
+		group: schemas.groupsSchema,
+		groups: schemas.groupsSchema,
+	};
+	const schema = schemaMappings[type];
+	if (!schema) throw new Error("Invalid Record Type");
+	return extendSchema(schema, type, 'bigquery');
+}
+
+/**
+ * deletes every file for the mixpanel tables... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to delete
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be deleted
+ */
+async function deleteAllFiles(tableNames, { dryRun = false } = {}) {
+	const targetTables = Object.values(tableNames).filter(a => a);
+	if (dryRun) return { dryRun: true, wouldDrop: targetTables.map(table => path.resolve(file_dir, table)) };
+	log(`[FILE] Deleting files...`);
+	for (const table of targetTables) {
+		await rm(path.resolve(file_dir, table), { recursive: true, force: true });
+	}
+	log(`[FILE] Deleted: ${targetTables.join(', ')}`);
+	return { numDropped: targetTables.length, tablesDropped: targetTables };
+}
+
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isDirReady: isDirReady === true };
+}
+
+/**
+ * a cheap live check for /health: the directory is still writable
+ */
+async function probe() {
+	if (!file_dir) throw new Error('file destination is not initialized');
+	await access(file_dir, constants.W_OK);
+}
+
+main.drop = deleteAllFiles;
+main.init = initializeFile;
+main.status = getStatus;
+main.probe = probe;
+module.exports = main;
@@ -9,12 +9,14 @@ const { Storage } = require('@google-cloud/storage');
 const NODE_ENV = process.env.NODE_ENV || "prod";
 const log = require("../components/logger.js");
 const path = require('path');
-const { uid, touch, rm, load } = require('ak-tools');
+const { touch, rm, load } = require('ak-tools');
 const { tmpdir } = require('os');
 const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
-const dayjs = require('dayjs');
-const TODAY = dayjs().format('YYYY-MM-DD');
 const { insertWithRetry } = require("../components/retries.js");
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const { toParquet, getParquetSchema } = require('../components/parquet.js');
+const lakeBuffer = require('../components/lakeBuffer.js');
+const { keyMatcher } = require('../components/lakeKeys.js');
 if (NODE_ENV === 'test') {
 	log.verbose(true);
 	log.cli(true);
@@ -41,6 +43,7 @@ let gcs_keyfile;
 let isClientReady;
 let isBucketReady;
 let canWriteToBucket;
+let lake_format;
 
 
 
@@ -77,8 +80,12 @@ async function main(data, type, tableNames) {
 	}
 
 
-	// @ts-ignore
-	const result = await insertWithRetry(insertData, data, targetPrefix);
+	// parquet files are typed, so they get the warehouse columns; json files get the flat records
+	const schema = lake_format === 'parquet' ? getParquetSchema(type) : [];
+	const batch = schema.length ? schematizeForWarehouse(data, schema) : data;
+	// one file per partition (or per rollover, see lakeBuffer.js); each file is retried on its own
+	const ext = schema.length ? 'parquet' : 'json';
+	const result = await lakeBuffer.add('gcs', type, batch, targetPrefix, ext);
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -95,6 +102,7 @@ async function initializeGoogleStorage(tableNames) {
 		gcs_keyfile
 	} =
 		process.env);
+	lake_format = process.env.LAKE_FORMAT?.toLowerCase() || 'json';
 
 	const { eventTable, userTable, groupTable } = tableNames;
 
@@ -113,6 +121,10 @@ async function initializeGoogleStorage(tableNames) {
 		if (!canWriteToBucket) throw new Error("could not verify read/write bucket permissions.");
 	}
 
+	// the buffer writes (and re-writes recovered) files through this
+	// @ts-ignore
+	lakeBuffer.register('gcs', (records, key, type) => insertWithRetry(insertData, records, key, lake_format === 'parquet' ? getParquetSchema(type) : [], { destination: 'gcs' }));
+
 	return [isClientReady];
 }
 
@@ -258,20 +270,21 @@ async function verifyReadAndWritePermissions() {
 
 /**
  * insert data into BigQuery
- * @param  {FlatData} batch
- * @param  {string} prefix
+ * @param  {FlatData | WarehouseData} batch
+ * @param  {string} fileName the object name (see lakeKeys.js)
+ * @param  {Schema} [schema] when present, the batch is written as parquet
  * @return {Promise<InsertResult>}
  */
-async function insertData(batch, prefix) {
+async function insertData(batch, fileName, schema = []) {
 	log("[GCS] Starting data upload...");
-	if (!prefix) throw new Error("prefix name not provided.");
-	if (prefix?.endsWith("/")) prefix = prefix.slice(0, -1);
+	if (!fileName) throw new Error("file name not provided.");
 	let result = { status: "born" };
-	const fileName = `${prefix}/${TODAY}_${uid(42)}.json`;
-	const dataToUpload = batch.map(record => JSON.stringify(record)).join('\n');
+	const isParquet = schema.length > 0;
+	const dataToUpload = isParquet ? await toParquet(batch, schema) : batch.map(record => JSON.stringify(record)).join('\n');
 	/** @type {import('@google-cloud/storage').SaveOptions} */
 	const options = {
-		gzip: true
+		// parquet is already compressed (per column)
+		gzip: !isParquet
 	};
 
 	try {
@@ -290,13 +303,13 @@ async function insertData(batch, prefix) {
 
 
 /**
- * delete bucket and all files this is a destructive operation
- * @param  {TableNames} tableNames
+ * delete every file written for the mixpanel tables (names which match LAKE_KEY_TEMPLATE for each table); this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to delete
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be deleted
  */
-async function deleteAllFiles(tableNames) {
-	log("[GCS] Deleting all files from bucket...");
-	const { eventTable, userTable, groupTable } = tableNames;
-	const tables = [eventTable, userTable, groupTable];
+async function deleteAllFiles(tableNames, { dryRun = false } = {}) {
+	log(`[GCS] ${dryRun ? 'Listing' : 'Deleting'} files in bucket...`);
+	const matchers = Object.values(tableNames).filter(a => a).map(table => keyMatcher(table));
 	const [buckets] = await client.getBuckets();
 	const bucket = buckets.find((b) => b.name === gcs_bucket);
 	if (!bucket) {
@@ -304,13 +317,33 @@ async function deleteAllFiles(tableNames) {
 		return;
 	}
 	const [files] = await bucket.getFiles();
-	const filesToDelete = files.filter((f) => tables.some((t) => f.name.includes(t)));
+	const filesToDelete = files.filter((f) => matchers.some((m) => m.test(f.name)));
+	if (dryRun) return { dryRun: true, wouldDrop: filesToDelete.map((f) => f.name) };
 	const deletePromises = filesToDelete.map((f) => f.delete());
 	const deleteResults = await Promise.all(deletePromises);
 	log(`[GCS] Deleted ${deleteResults?.length} files from bucket ${gcs_bucket}.`);
 	return { numFilesDeleted: deleteResults?.length };
 }
 
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, isBucketReady: isBucketReady === true, canWriteToBucket: canWriteToBucket === true };
+}
+
+/**
+ * a cheap live check for /health: the bucket still exists (and we can see it)
+ */
+async function probe() {
+	if (!client) throw new Error('GCS client is not initialized');
+	const [exists] = await client.bucket(gcs_bucket).exists();
+	if (!exists) throw new Error(`bucket ${gcs_bucket} does not exist`);
+}
+
 main.drop = deleteAllFiles;
 main.init = initializeGoogleStorage;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
\ No newline at end of file
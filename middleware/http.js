@@ -0,0 +1,205 @@
+/*
+----
+HTTP (WEBHOOK) MIDDLEWARE
+----
+*/
+
+const { createHmac, createHash } = require('crypto');
+const zlib = require('zlib');
+const log = require("../components/logger.js");
+const deadLetter = require("../components/deadLetter.js");
+const { insertWithRetry } = require("../components/retries.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+if (NODE_ENV === 'test') {
+	log.verbose(true);
+	log.cli(true);
+}
+
+// CORE MIDDLEWARE CONTRACT
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').FlatData} FlatData */
+
+// These vars should be cached and only run once when the server starts
+/** @type {string[]} */
+let urls = [];
+/** @type {Object<string, string>} */
+let extraHeaders = {};
+let http_format;
+let http_gzip;
+let http_secret;
+let http_timeout;
+let isConfigReady;
+
+/**
+ * POSTs a batch of flat records to every configured URL
+ * each URL is retried on its own, so a slow service doesn't cause duplicates in the others
+ * the batch is dead-lettered for just the URLs which still failed, so a re-drive doesn't re-send it to the others
+ * @param  {FlatData} data
+ * @param  {Endpoints} type
+ * @param  {TableNames} tableNames
+ * @param  {{urls?: string[]}} [options] only send to these (configured) URLs, i.e. when re-driving a dead letter
+ * @return {Promise<InsertResult>}
+ */
+async function main(data, type, tableNames, options = {}) {
+	const startTime = Date.now();
+	const init = await initializeHttp(tableNames);
+	if (!init.every(i => i)) throw new Error("Failed to initialize http middleware.");
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	let table;
+	switch (type) {
+		case "track":
+			table = eventTable;
+			break;
+		case "engage":
+			table = userTable;
+			break;
+		case "groups":
+			table = groupTable;
+			break;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+
+	const targets = options.urls ? urls.filter(url => options.urls?.includes(url)) : urls;
+	if (!targets.length) throw new Error(`none of ${options.urls?.join(', ')} are in http_urls`);
+
+	// the id is a hash of the body, so retries (and re-deliveries) of the same batch can be dropped by receivers
+	const body = encodeBody(data);
+	const request = { type, table, batchId: createHash('sha256').update(body).digest('hex').slice(0, 32), body };
+	const results = await Promise.all(targets.map(async url => {
+		try {
+			const send = (batch, url) => postBatch(batch, url, request);
+			const response = await insertWithRetry(send, data, url, [], { destination: "http", retryableErrors: ["NetworkError"], retryableStatusCodes: RETRYABLE_STATUS_CODES });
+			return { url, status: response.httpStatus, error: null };
+		}
+		catch (e) {
+			log(`[HTTP] giving up on ${url}: ${e.message}`);
+			return { url, status: e.statusCode || null, error: e.message };
+		}
+	}));
+
+	const failures = results.filter(r => r.error);
+	const duration = Date.now() - startTime;
+	/** @type {InsertResult} */
+	const result = {
+		status: failures.length ? 'error' : 'success',
+		duration,
+		insertedRows: failures.length ? 0 : data.length,
+		failedRows: failures.length ? data.length : 0,
+		meta: { batchId: request.batchId, urls: results }
+	};
+	if (failures.length) {
+		result.errors = failures.map(f => `${f.url}: ${f.error}`);
+		result.errorMessage = result.errors.join('; ');
+		result.deadLetter = await deadLetter.write(data, {
+			destination: "http",
+			type,
+			table,
+			error: result.errorMessage,
+			attempts: 1,
+			urls: failures.map(f => f.url)
+		});
+	}
+	return result;
+}
+
+async function initializeHttp(tableNames) {
+	if (isConfigReady) return [isConfigReady];
+
+	// ENV STUFF
+	const { http_urls = "", http_headers = "" } = process.env;
+	({
+		http_format = "json",
+		http_gzip = "",
+		http_secret = "",
+		http_timeout = "10000"
+	} = process.env);
+
+	urls = http_urls.split(',').map(u => u.trim()).filter(a => a);
+	for (const url of urls) new URL(url); // throws on a bad url
+	extraHeaders = http_headers ? JSON.parse(http_headers) : {};
+	http_format = http_format.toLowerCase();
+	http_gzip = http_gzip?.toString()?.toLowerCase() === 'true';
+	http_timeout = parseInt(http_timeout, 10) || 10000;
+
+	isConfigReady = urls.length > 0;
+	if (isConfigReady) log(`[HTTP] forwarding ${http_format}${http_gzip ? ' (gzip)' : ''} batches to ${urls.length} url(s)${http_secret ? '; signed' : ''}`);
+	return [isConfigReady];
+}
+
+/**
+ * a single POST to a single url
+ * @param  {FlatData} batch
+ * @param  {string} url
+ * @param  {{type: Endpoints, table: string, batchId: string, body: Buffer}} request
+ */
+async function postBatch(batch, url, request) {
+	const { type, table, batchId, body } = request;
+	const headers = {
+		...extraHeaders,
+		'Content-Type': http_format === 'ndjson' ? 'application/x-ndjson' : 'application/json',
+		'X-Mixpanel-Endpoint': type,
+		'X-Mixpanel-Table': table,
+		'X-Batch-Id': batchId,
+		'X-Record-Count': String(batch.length)
+	};
+	if (http_gzip) headers['Content-Encoding'] = 'gzip';
+	if (http_secret) Object.assign(headers, sign(body));
+
+	let response;
+	try {
+		response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(http_timeout) });
+	}
+	catch (error) {
+		// timeouts + connection errors
+		log(`[HTTP] request to ${url} failed: ${error.message}`);
+		throw new Error('NetworkError');
+	}
+
+	if (!response.ok) {
+		const text = await response.text().catch(() => "");
+		const error = new Error(`${response.status} ${response.statusText} ${text}`.trim());
+		// @ts-ignore
+		error.statusCode = response.status;
+		throw error;
+	}
+
+	log(`[HTTP] got ${response.status} from ${url}`);
+	return { status: "success", httpStatus: response.status };
+}
+
+/**
+ * @param  {FlatData} data
+ * @returns {Buffer} the body, exactly as it will be sent (and signed)
+ */
+function encodeBody(data) {
+	const text = http_format === 'ndjson' ? data.map(record => JSON.stringify(record)).join('\n') : JSON.stringify(data);
+	return http_gzip ? zlib.gzipSync(text) : Buffer.from(text);
+}
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<body>`; receivers should recompute it and reject stale timestamps
+ * @param  {Buffer} body
+ */
+function sign(body) {
+	const timestamp = Math.floor(Date.now() / 1000).toString();
+	const signature = createHmac('sha256', http_secret).update(`${timestamp}.`).update(body).digest('hex');
+	return {
+		'X-Signature-Timestamp': timestamp,
+		'X-Signature-256': `sha256=${signature}`
+	};
+}
+
+main.init = initializeHttp;
+// no live probe: the only way to check a webhook is to send it something
+main.status = () => ({ isConfigReady: isConfigReady === true });
+main.drop = () => {
+	log(`[HTTP] webhooks cannot be dropped...0_o`);
+	return "nothing to drop";
+};
+module.exports = main;
@@ -0,0 +1,277 @@
+/*
+----
+KAFKA MIDDLEWARE
+----
+*/
+
+const { Kafka, Partitioners, logLevel } = require('kafkajs');
+const log = require("../components/logger.js");
+const { insertWithRetry } = require("../components/retries.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+if (NODE_ENV === 'test') {
+	log.verbose(true);
+	log.cli(true);
+}
+
+// CORE MIDDLEWARE CONTRACT
+/** @typedef {import('../types').Entities} Entities */
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').FlatData} FlatData */
+/** @typedef {import('kafkajs').Producer} Producer */
+
+// These vars should be cached and only run once when the server starts
+/** @type {Kafka} */
+let kafka;
+/** @type {Producer} */
+let producer;
+let kafka_brokers;
+let kafka_client_id;
+let kafka_ssl;
+let kafka_sasl_mechanism;
+let kafka_sasl_username;
+let kafka_sasl_password;
+let kafka_retries;
+let isClientReady;
+let areTopicsReady;
+/** @type {Object<string, import('kafkajs').PartitionMetadata[]>} */
+const partitionMetadata = {};
+// the same murmur2 partitioner the producer uses; we pick partitions up front to report per-message offsets
+const partitioner = Partitioners.DefaultPartitioner();
+
+/**
+ * Main function to handle Kafka production
+ * every flat record is one message; topics are named after the tables
+ * @param  {FlatData} data
+ * @param  {Endpoints} type
+ * @param  {TableNames} tableNames
+ * @return {Promise<InsertResult>}
+ */
+async function main(data, type, tableNames) {
+	const startTime = Date.now();
+	const init = await initializeKafka(tableNames);
+	if (!init.every(i => i)) throw new Error("Failed to initialize Kafka middleware.");
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	let targetTopic;
+	switch (type) {
+		case "track":
+			targetTopic = eventTable;
+			break;
+		case "engage":
+			targetTopic = userTable;
+			break;
+		case "groups":
+			targetTopic = groupTable;
+			break;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+
+	const result = await insertWithRetry(insertData, data, targetTopic, [], { destination: 'kafka' });
+	const duration = Date.now() - startTime;
+	result.duration = duration;
+	return result;
+}
+
+async function initializeKafka(tableNames) {
+	// ENV STUFF
+	({
+		kafka_brokers = "",
+		kafka_client_id = "mixpanel-dwh-proxy",
+		kafka_ssl = "",
+		kafka_sasl_mechanism = "",
+		kafka_sasl_username = "",
+		kafka_sasl_password = "",
+		kafka_retries = "5"
+	} = process.env);
+
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	if (!isClientReady) {
+		isClientReady = await createKafkaProducer();
+		if (!isClientReady) throw new Error("Kafka producer could not connect.");
+	}
+
+	if (!areTopicsReady) {
+		areTopicsReady = await verifyOrCreateTopics([eventTable, userTable, groupTable]);
+		if (!areTopicsReady) throw new Error("Topic verification or creation failed.");
+	}
+
+	return [isClientReady, areTopicsReady];
+}
+
+async function createKafkaProducer() {
+	/** @type {import('kafkajs').KafkaConfig} */
+	const config = {
+		clientId: kafka_client_id,
+		brokers: kafka_brokers.split(',').map(b => b.trim()).filter(a => a),
+		logLevel: logLevel.ERROR,
+		ssl: kafka_ssl?.toString()?.toLowerCase() === 'true'
+	};
+	if (kafka_sasl_mechanism) {
+		// @ts-ignore
+		config.sasl = {
+			mechanism: kafka_sasl_mechanism.toLowerCase(),
+			username: kafka_sasl_username,
+			password: kafka_sasl_password
+		};
+	}
+
+	kafka = new Kafka(config);
+	// idempotent + one in-flight request per broker: no duplicates, and per-key ordering survives retries
+	producer = kafka.producer({
+		idempotent: true,
+		maxInFlightRequests: 1,
+		createPartitioner: Partitioners.DefaultPartitioner,
+		retry: { retries: parseInt(kafka_retries, 10) || 5 }
+	});
+
+	try {
+		await producer.connect();
+		log(`[KAFKA] producer connected to ${config.brokers.join(', ')}`);
+		return true;
+	} catch (error) {
+		log("[KAFKA] Error connecting producer:", error);
+		return false;
+	}
+}
+
+async function verifyOrCreateTopics(topics) {
+	const admin = kafka.admin();
+	try {
+		await admin.connect();
+		const existing = await admin.listTopics();
+		const missing = topics.filter(topic => !existing.includes(topic));
+		if (missing.length) {
+			log(`[KAFKA] Topics ${missing.join(', ')} do not exist. Creating...`);
+			await admin.createTopics({ topics: missing.map(topic => ({ topic })), waitForLeaders: true });
+			log(`[KAFKA] Topics ${missing.join(', ')} created.`);
+		}
+		else {
+			log(`[KAFKA] Topics ${topics.join(', ')} already exist.`);
+		}
+
+		const metadata = await admin.fetchTopicMetadata({ topics });
+		for (const { name, partitions } of metadata.topics) partitionMetadata[name] = partitions;
+		return true;
+	} catch (error) {
+		log("[KAFKA] Error verifying or creating topics:", error);
+		return false;
+	} finally {
+		await admin.disconnect();
+	}
+}
+
+/**
+ * produce a batch to a topic; each message is keyed by its entity so updates to the same user stay in order
+ * @param  {FlatData} batch
+ * @param  {string} topic
+ * @return {Promise<InsertResult>}
+ */
+async function insertData(batch, topic) {
+	log("[KAFKA] Starting message production...");
+	let result = { status: "born", dest: "kafka" };
+	const start = Date.now();
+
+	const messages = batch.map(record => {
+		const key = getMessageKey(record);
+		const value = JSON.stringify(record);
+		const partition = partitioner({ topic, partitionMetadata: partitionMetadata[topic], message: { key, value } });
+		return { key, value, partition };
+	});
+
+	let recordMetadata;
+	try {
+		recordMetadata = await producer.send({ topic, messages, acks: -1 });
+	} catch (error) {
+		log(`[KAFKA] Error producing to ${topic}: ${error.message}`, error);
+		if (error.retriable) throw new Error('NetworkError');
+		throw error;
+	}
+
+	// messages to the same partition are appended in order, starting at that partition's base offset
+	const nextOffset = {};
+	for (const { partition, baseOffset } of recordMetadata) nextOffset[partition] = BigInt(baseOffset);
+	const delivered = messages.map(({ key, partition }) => {
+		const offset = nextOffset[partition];
+		if (offset === undefined) return { key, partition, offset: null };
+		nextOffset[partition] = offset + 1n;
+		return { key, partition, offset: offset.toString() };
+	});
+	const failedRows = delivered.filter(m => m.offset === null).length;
+
+	const duration = Date.now() - start;
+	result = {
+		...result,
+		duration,
+		status: failedRows ? 'error' : 'success',
+		insertedRows: batch.length - failedRows,
+		failedRows,
+		meta: { topic, messages: delivered }
+	};
+	log("[KAFKA] Message production complete.");
+	return result;
+}
+
+/**
+ * @param  {Object} record
+ * @returns {string | null}
+ */
+function getMessageKey(record) {
+	if (record.group_key && record.group_id) return `${record.group_key}:${record.group_id}`;
+	if (record.distinct_id) return String(record.distinct_id);
+	return null;
+}
+
+/**
+ * deletes the mixpanel topics... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the topics to delete
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be deleted
+ */
+async function deleteTopics(tableNames, { dryRun = false } = {}) {
+	const topics = Object.values(tableNames).filter(a => a);
+	const admin = kafka.admin();
+	try {
+		await admin.connect();
+		const existing = await admin.listTopics();
+		const toDelete = topics.filter(topic => existing.includes(topic));
+		if (dryRun) return { dryRun: true, wouldDrop: toDelete };
+		if (toDelete.length) await admin.deleteTopics({ topics: toDelete });
+		areTopicsReady = false;
+		log(`[KAFKA] Deleted topics: ${toDelete.join(', ')}`);
+		return { numDropped: toDelete.length, tablesDropped: toDelete };
+	} finally {
+		await admin.disconnect();
+	}
+}
+
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, areTopicsReady: areTopicsReady === true };
+}
+
+/**
+ * a cheap live check for /health: asks the cluster for its brokers
+ */
+async function probe() {
+	if (!kafka) throw new Error('Kafka client is not initialized');
+	const admin = kafka.admin();
+	try {
+		await admin.connect();
+		await admin.describeCluster();
+	} finally {
+		await admin.disconnect();
+	}
+}
+
+main.drop = deleteTopics;
+main.init = initializeKafka;
+main.status = getStatus;
+main.probe = probe;
+module.exports = main;
@@ -1,6 +1,7 @@
 // @ts-ignore
 const fetch = require('fetch-retry')(global.fetch);
 const log = require('../components/logger');
+const { mixpanelAuth } = require('../components/importApi');
 
 
 const NODE_ENV = process.env.NODE_ENV || 'prod';
@@ -22,21 +23,28 @@ if (NODE_ENV === 'test') {
 
 /**
  * sends a POST request to the given URL with the given data
+ * `import` batches (from the proxy's /import) go to mixpanel's /import in strict mode, authenticated with MIXPANEL_API_SECRET or MIXPANEL_SERVICE_ACCOUNT
  * @param  {DATA} data
- * @param  {Endpoints} type
+ * @param  {Endpoints | 'import'} type
  * @returns {Promise<InsertResult>}
  */
 async function main(data, type,) {
 	const start = Date.now();
-	const url = `${BASE_URL}/${type}?verbose=1`;
+	const isImport = type === 'import';
+	/** @type {Object<string, string>} */
+	const headers = { 'Content-Type': 'application/json' };
+	let url = `${BASE_URL}/${type}?verbose=1`;
+	if (isImport) {
+		const { authorization, query } = mixpanelAuth();
+		url = `${BASE_URL}/import?strict=1${query}`;
+		headers.Authorization = authorization;
+	}
 	log(`[MIXPANEL] request to ${shortUrl(url)}`);
 	try {
 		const request = await fetch(url, {
 			method: 'POST',
 			body: JSON.stringify(data),
-			headers: {
-				'Content-Type': 'application/json'
-			},
+			headers,
 		});
 
 		const { status = 0, statusText = "" } = request;
@@ -45,6 +53,13 @@ async function main(data, type,) {
 		response.duration = duration;
 		log(`[MIXPANEL] got ${status} ${statusText} from ${shortUrl(url)}`);
 		const result = { status: "success", duration, failedRows: 0, insertedRows: data.length };
+		if (isImport) {
+			// strict mode imports the valid records and lists the rest
+			const failed = response.failed_records || [];
+			result.insertedRows = response.num_records_imported ?? (response.error ? 0 : data.length);
+			result.failedRows = failed.length;
+			if (failed.length) result.errors = failed;
+		}
 		if (response.error) {
 			result.status = "error";
 			result.errorMessage = response.error;
@@ -73,4 +88,9 @@ main.drop = () => {
 	log(`[MIXPANEL] tables cannot be dropped...0_o`);
 	return "nothing to drop";
 };
+// for /health: mixpanel is reachable (a request without data isn't tracked); not retried
+main.probe = async () => {
+	const response = await global.fetch(`${BASE_URL}/track`, { method: 'GET' });
+	if (response.status >= 500) throw new Error(`got ${response.status} ${response.statusText} from ${BASE_URL}`);
+};
 module.exports = main;
@@ -0,0 +1,97 @@
+const eventsSchema = [
+	{
+		"name": "event",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "event_time",
+		"type": "TIMESTAMPTZ"
+	},
+	{
+		"name": "insert_time",
+		"type": "TIMESTAMPTZ"
+	},
+	{
+		"name": "token",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "device_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "insert_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "user_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "distinct_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "properties",
+		"type": "JSONB"
+	}
+];
+
+const usersSchema = [
+	{
+		"name": "token",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "distinct_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "ip",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "insert_time",
+		"type": "TIMESTAMPTZ"
+	},
+	{
+		"name": "operation",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "properties",
+		"type": "JSONB"
+	}
+];
+
+
+const groupsSchema = [
+	{
+		"name": "token",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "group_key",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "group_id",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "operation",
+		"type": "VARCHAR"
+	},
+	{
+		"name": "insert_time",
+		"type": "TIMESTAMPTZ"
+	},
+	{
+		"name": "properties",
+		"type": "JSONB"
+	}
+];
+
+
+
+module.exports = { eventsSchema, usersSchema, groupsSchema };
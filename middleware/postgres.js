@@ -0,0 +1,374 @@
+/*
+----
+POSTGRES MIDDLEWARE
+----
+*/
+const { Pool } = require('pg');
+const log = require('../components/logger.js');
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const schemas = require('./postgres-schemas.js');
+const { insertWithRetry } = require("../components/retries.js");
+const { extendSchema } = require("../components/schemaExtensions.js");
+const { evolveTable, migrationsSchema, migrationsTableName } = require("../components/schemaEvolution.js");
+
+const NODE_ENV = process.env.NODE_ENV || "prod";
+const MAX_PARAMS = 65535; // postgres' limit on bind parameters per statement
+if (NODE_ENV === 'test') {
+	log.verbose(true);
+	log.cli(true);
+}
+
+// CORE MIDDLEWARE CONTRACT
+/** @typedef {import('../types').Entities} Entities */
+/** @typedef {import('../types').Endpoints} Endpoints */
+/** @typedef {import('../types').TableNames} TableNames */
+/** @typedef {import('../types').Schema} Schema */
+/** @typedef {import('../types').InsertResult} InsertResult */
+/** @typedef {import('../types').SchematizedData} WarehouseData */
+/** @typedef {import('../types').FlatData} FlatData */
+
+// Cached variables to run once when the server starts
+/** @type {Pool} */
+let pool;
+let postgres_host;
+let postgres_port;
+let postgres_user;
+let postgres_password;
+let postgres_database;
+let postgres_schema;
+let postgres_ssl;
+let postgres_connection_string;
+let isClientReady;
+let isSchemaReady;
+let areTablesReady;
+
+/**
+ * Main function to handle Postgres data insertion
+ * this function is called in the main server.js file
+ * and will be called repeatedly as clients stream data in (from client-side SDKs)
+ * @param  {FlatData} data
+ * @param  {Endpoints} type
+ * @param  {TableNames} tableNames
+ * @return {Promise<InsertResult>}
+ */
+async function main(data, type, tableNames) {
+	const startTime = Date.now();
+	const init = await initializePostgres(tableNames);
+	if (!init.every(i => i)) throw new Error("Failed to initialize Postgres middleware.");
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	// Determine the target table based on the record type
+	let targetTable;
+	switch (type) {
+		case "track":
+			targetTable = eventTable;
+			break;
+		case "engage":
+			targetTable = userTable;
+			break;
+		case "groups":
+			targetTable = groupTable;
+			break;
+		default:
+			throw new Error("Invalid Record Type");
+	}
+
+	const schema = getPostgresSchema(type);
+	const preparedData = schematizeForWarehouse(data, schema);
+	const result = await insertWithRetry(insertData, preparedData, targetTable, schema, { destination: 'postgres' });
+	const duration = Date.now() - startTime;
+	result.duration = duration;
+	return result;
+}
+
+async function initializePostgres(tableNames) {
+	// Environment variables
+	({
+		postgres_host,
+		postgres_port = "5432",
+		postgres_user,
+		postgres_password,
+		postgres_database,
+		postgres_schema = "public",
+		postgres_ssl = "",
+		postgres_connection_string
+	} = process.env);
+
+	const { eventTable, userTable, groupTable } = tableNames;
+
+	if (!isClientReady) {
+		isClientReady = await createPostgresClient();
+		if (!isClientReady) throw new Error("Postgres client creation failed.");
+	}
+
+	if (!isSchemaReady) {
+		isSchemaReady = await verifyOrCreateSchema();
+		if (!isSchemaReady) throw new Error("Schema verification or creation failed.");
+	}
+
+	if (!areTablesReady) {
+		const tableCheckResults = await verifyOrCreateTables([["track", eventTable], ["user", userTable], ["group", groupTable]]);
+		areTablesReady = tableCheckResults.every(result => result);
+		if (!areTablesReady) throw new Error("Table verification or creation failed.");
+	}
+
+	return [isClientReady, isSchemaReady, areTablesReady];
+}
+
+async function createPostgresClient() {
+	/** @type {import('pg').PoolConfig} */
+	const config = {};
+	if (postgres_connection_string) config.connectionString = postgres_connection_string;
+	else {
+		config.host = postgres_host;
+		config.port = parseInt(postgres_port, 10) || 5432;
+		config.user = postgres_user;
+		config.password = postgres_password;
+		config.database = postgres_database;
+	}
+	if (postgres_ssl?.toString()?.toLowerCase() === 'true') config.ssl = { rejectUnauthorized: false };
+
+	// a failed attempt's pool is closed below, but don't leak one if we're ever called again
+	if (pool) await closePool();
+	pool = new Pool(config);
+	// idle clients can error (i.e. the server restarts); we don't want that to crash the proxy
+	pool.on('error', (error) => log('[POSTGRES] idle client error', error));
+
+	try {
+		const { rows } = await executeSQL('SELECT 1 AS ok');
+		if (rows?.[0]?.ok === 1) {
+			log('[POSTGRES] client created and credentials are valid.');
+			return true;
+		}
+		throw new Error('Failed to verify Postgres credentials');
+	} catch (error) {
+		log('[POSTGRES] Error verifying Postgres credentials:', error);
+		// the next insert retries with a new pool; this one's sockets would never be used again
+		await closePool();
+		return false;
+	}
+}
+
+async function closePool() {
+	const stale = pool;
+	// @ts-ignore
+	pool = null;
+	try {
+		await stale.end();
+	}
+	catch (error) {
+		log('[POSTGRES] Error closing pool:', error);
+	}
+}
+
+async function verifyOrCreateSchema() {
+	const { rows } = await executeSQL(`SELECT schema_name FROM information_schema.schemata WHERE schema_name = $1`, [postgres_schema]);
+	if (!rows.length) {
+		log(`[POSTGRES] Schema ${postgres_schema} does not exist. Creating...`);
+		await executeSQL(`CREATE SCHEMA IF NOT EXISTS ${quote(postgres_schema)}`);
+		log(`[POSTGRES] Schema ${postgres_schema} created.`);
+	} else {
+		log(`[POSTGRES] Schema ${postgres_schema} already exists.`);
+	}
+	return true;
+}
+
+async function verifyOrCreateTables(tableNames) {
+	const results = [];
+
+	for (const [type, table] of tableNames) {
+		const tableExists = await checkIfTableExists(table);
+		if (!tableExists) {
+			log(`[POSTGRES] Table ${table} does not exist. Creating...`);
+			const tableSchema = getPostgresSchema(type);
+			const sqlSchema = tableSchema.map(f => `${quote(f.name)} ${f.type}`).join(", ");
+			await createTable(table, sqlSchema);
+			const created = await checkIfTableExists(table);
+			if (created) log(`[POSTGRES] Table ${table} created.`);
+			else log(`[POSTGRES] Failed to create table ${table}`);
+			results.push(created);
+		} else {
+			log(`[POSTGRES] Table ${table} already exists.`);
+			await evolveTable('postgres', table, getPostgresSchema(type), schemaAdapter);
+			results.push(true);
+		}
+	}
+
+	return results;
+}
+
+/**
+ * schema evolution (see schemaEvolution.js)
+ * @type {import('../components/schemaEvolution.js').SchemaAdapter}
+ */
+const schemaAdapter = {
+	async describe(tableName) {
+		const { rows } = await executeSQL(`SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2`, [postgres_schema, tableName]);
+		return rows.map(row => ({ name: row.column_name, type: row.data_type }));
+	},
+	async addColumns(tableName, fields) {
+		const columns = fields.map(f => `ADD COLUMN IF NOT EXISTS ${quote(f.name)} ${f.type}`).join(', ');
+		await executeSQL(`ALTER TABLE ${qualified(tableName)} ${columns}`);
+	},
+	async record(migrations) {
+		const columns = migrationsSchema('postgres');
+		await executeSQL(`CREATE TABLE IF NOT EXISTS ${qualified(migrationsTableName())} (${columns.map(f => `${quote(f.name)} ${f.type}`).join(', ')})`);
+		const values = [];
+		const placeholders = migrations.map(migration => `(${columns.map(f => {
+			values.push(migration[f.name]);
+			return `$${values.length}`;
+		}).join(', ')})`);
+		await executeSQL(`INSERT INTO ${qualified(migrationsTableName())} (${columns.map(f => quote(f.name)).join(', ')}) VALUES ${placeholders.join(', ')}`, values);
+	}
+};
+
+async function checkIfTableExists(tableName) {
+	const checkTableQuery = `SELECT table_name FROM information_schema.tables WHERE table_schema = $1 AND table_name = $2`;
+	const { rows } = await executeSQL(checkTableQuery, [postgres_schema, tableName]);
+	return rows.length > 0;
+}
+
+async function createTable(tableName, schema) {
+	const createTableQuery = `CREATE TABLE IF NOT EXISTS ${qualified(tableName)} (${schema})`;
+	return await executeSQL(createTableQuery);
+}
+
+/**
+ * insert data into postgres with parameterized multi-row INSERTs
+ * @param  {WarehouseData} batch
+ * @param  {string} table
+ * @param  {Schema} schema
+ * @return {Promise<InsertResult>}
+ */
+async function insertData(batch, table, schema) {
+	log("[POSTGRES] Starting data insertion...");
+	let result = { status: "born", dest: "postgres" };
+
+	const columnNames = schema.map(f => quote(f.name)).join(", ");
+	const rowsPerStatement = Math.max(Math.floor(MAX_PARAMS / schema.length), 1);
+	const start = Date.now();
+	let insertedRows = 0;
+
+	for (let i = 0; i < batch.length; i += rowsPerStatement) {
+		const chunk = batch.slice(i, i + rowsPerStatement);
+		const values = [];
+		const placeholders = chunk.map(row => {
+			const rowPlaceholders = schema.map(field => {
+				values.push(formatBindValue(row[field.name], field.type));
+				return `$${values.length}`;
+			});
+			return `(${rowPlaceholders.join(", ")})`;
+		});
+		const insertSQL = `INSERT INTO ${qualified(table)} (${columnNames}) VALUES ${placeholders.join(", ")}`;
+		const { rowCount } = await executeSQL(insertSQL, values);
+		insertedRows += rowCount || 0;
+	}
+
+	const duration = Date.now() - start;
+	result = { ...result, duration, status: 'success', insertedRows, failedRows: batch.length - insertedRows };
+	log('[POSTGRES] Data insertion complete;');
+	return result;
+}
+
+
+function getPostgresSchema(type) {
+	const schemaMappings = {
+		event: schemas.eventsSchema,
+		track: schemas.eventsSchema,
+		user: schemas.usersSchema,
+		engage: schemas.usersSchema,
+		group: schemas.groupsSchema,
+		groups: schemas.groupsSchema,
+	};
+	const schema = schemaMappings[type];
+	if (!schema) throw new Error("Invalid Record Type");
+	return extendSchema(schema, type, 'postgres');
+}
+
+/**
+ * Executes a given SQL query on the Postgres pool
+ * connection problems + lock timeouts are re-thrown as retryable errors (see insertWithRetry)
+ * @param {string} sql
+ * @param {any[]} [params]
+ * @returns {Promise<import('pg').QueryResult>}
+ */
+async function executeSQL(sql, params = []) {
+	try {
+		return await pool.query(sql, params);
+	} catch (error) {
+		log(`[POSTGRES] Failed executing SQL: ${error.message}`);
+		if (NODE_ENV === 'test') debugger;
+		if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', '57P01', '08006', '08001'].includes(error.code)) throw new Error('NetworkError');
+		if (['55P03', '40P01'].includes(error.code)) throw new Error('LockNotAvailableError');
+		throw error;
+	}
+}
+
+function formatBindValue(value, type) {
+	if (value === null || value === undefined || value === "") return null;
+	switch (type) {
+		case 'JSONB':
+			return JSON.stringify(value);
+		case 'INTEGER':
+		case 'BIGINT':
+			return parseInt(value, 10);
+		case 'REAL':
+		case 'DOUBLE PRECISION':
+			return parseFloat(value);
+		case 'BOOLEAN':
+			return value.toString().toLowerCase() === 'true';
+		default:
+			return value;
+	}
+}
+
+// identifiers are always quoted so table names with capitals/dashes behave
+function quote(identifier) {
+	return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+function qualified(tableName) {
+	return `${quote(postgres_schema)}.${quote(tableName)}`;
+}
+
+
+/**
+ * drops the mixpanel tables... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to drop
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be dropped
+ */
+async function dropTables(tableNames, { dryRun = false } = {}) {
+	const targetTables = Object.values(tableNames).filter(a => a);
+	if (dryRun) return { dryRun: true, wouldDrop: targetTables.map(table => qualified(table)) };
+	log(`[POSTGRES] Dropping tables...`);
+	const droppedTables = [];
+	for (const table of targetTables) {
+		await executeSQL(`DROP TABLE IF EXISTS ${qualified(table)}`);
+		droppedTables.push(table);
+	}
+	areTablesReady = false;
+	log(`[POSTGRES] Dropped tables: ${targetTables.join(', ')}`);
+	return { numDropped: droppedTables.length, tablesDropped: droppedTables };
+}
+
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, isSchemaReady: isSchemaReady === true, areTablesReady: areTablesReady === true };
+}
+
+/**
+ * a cheap live check for /health; borrows a connection from the pool
+ */
+async function probe() {
+	if (!pool) throw new Error('Postgres pool is not initialized');
+	await executeSQL('SELECT 1');
+}
+
+main.drop = dropTables;
+main.init = initializePostgres;
+main.status = getStatus;
+main.probe = probe;
+module.exports = main;
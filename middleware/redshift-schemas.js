@@ -93,5 +93,64 @@ const groupsSchema = [
 ];
 
 
+// current state (one row per profile); only used with PROFILE_STATE=true
+const usersStateSchema = [
+	{
+		"name": "distinct_id",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "token",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "properties",
+		"type": "SUPER"		
+	},
+	{
+		"name": "version",
+		"type": "INTEGER"		
+	},
+	{
+		"name": "last_batch",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "updated_time",
+		"type": "TIMESTAMP"		
+	}
+];
+
+const groupsStateSchema = [
+	{
+		"name": "group_key",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "group_id",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "token",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "properties",
+		"type": "SUPER"		
+	},
+	{
+		"name": "version",
+		"type": "INTEGER"		
+	},
+	{
+		"name": "last_batch",
+		"type": "VARCHAR"		
+	},
+	{
+		"name": "updated_time",
+		"type": "TIMESTAMP"		
+	}
+];
+
 
-module.exports = { eventsSchema, usersSchema, groupsSchema };
\ No newline at end of file
+module.exports = { eventsSchema, usersSchema, groupsSchema, usersStateSchema, groupsStateSchema };
\ No newline at end of file
@@ -3,12 +3,16 @@
 REDSHIFT MIDDLEWARE
 ----
 */
-const { RedshiftDataClient, ExecuteStatementCommand, DescribeStatementCommand } = require('@aws-sdk/client-redshift-data');
+const { RedshiftDataClient, ExecuteStatementCommand, DescribeStatementCommand, GetStatementResultCommand } = require('@aws-sdk/client-redshift-data');
 const log = require('../components/logger.js');
 const u = require('ak-tools');
 const { schematizeForWarehouse } = require('../components/transforms.js');
 const schemas = require('./redshift-schemas.js');
 const { insertWithRetry } = require("../components/retries.js");
+const { stateTableName, withStateTables, profileKeys, updateProfileState } = require("../components/profileState.js");
+const { extendSchema } = require("../components/schemaExtensions.js");
+const { evolveTable, migrationsSchema, migrationsTableName } = require("../components/schemaEvolution.js");
+const dedupe = require("../components/dedupe.js");
 
 const NODE_ENV = process.env.NODE_ENV || "prod";
 let MAX_RETRIES = process.env.MAX_RETRIES || 5;
@@ -41,6 +45,8 @@ let isClientReady;
 let isSchemaReady;
 // let isDatasetReady;
 let areTablesReady;
+let profile_state;
+let areStateTablesReady;
 
 /**
  * Main function to handle Redshift data insertion
@@ -75,7 +81,20 @@ async function main(data, type, tableNames) {
 
 	const schema = getRedshiftSchema(type);
 	const preparedData = schematizeForWarehouse(data, schema);
-	const result = await insertWithRetry(insertData, preparedData, targetTable, schema);
+	const result = await insertWithRetry(insertData, preparedData, targetTable, schema, { destination: 'redshift' });
+
+	// keep <table>_current up to date; the raw rows are already in, so a failure here is reported but not retried
+	if (profile_state && type !== "track" && result.status === "success") {
+		const stateTable = stateTableName(targetTable);
+		try {
+			const store = { read: (keys) => readProfiles(stateTable, keys, type), write: (updates) => mergeProfiles(stateTable, updates, type) };
+			result.meta = { ...result.meta, profileState: await updateProfileState(`redshift:${stateTable}`, preparedData, type, store) };
+		}
+		catch (e) {
+			log(`[REDSHIFT] Error updating ${stateTable}: ${e.message}`, e);
+			result.meta = { ...result.meta, profileState: { status: "error", error: e.message } };
+		}
+	}
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -97,6 +116,7 @@ async function initializeRedshift(tableNames) {
 
 	// HACK! todo: fix this
 	redshift_schema_name = "public";
+	profile_state = process.env.PROFILE_STATE?.toString()?.toLowerCase() === 'true';
 
 	const { eventTable, userTable, groupTable } = tableNames;
 
@@ -123,6 +143,12 @@ async function initializeRedshift(tableNames) {
 		if (!areTablesReady) throw new Error("Table verification or creation failed.");
 	}
 
+	if (profile_state && !areStateTablesReady) {
+		const tableCheckResults = await verifyOrCreateTables([["user_current", stateTableName(userTable)], ["group_current", stateTableName(groupTable)]]);
+		areStateTablesReady = tableCheckResults.every(result => result);
+		if (!areStateTablesReady) throw new Error("Profile state table verification or creation failed.");
+	}
+
 	return [isClientReady, areTablesReady];
 }
 
@@ -171,6 +197,7 @@ async function verifyOrCreateTables(tableNames) {
 			// }
 		} else {
 			log(`[REDSHIFT] Table ${table} already exists.`);
+			await evolveTable('redshift', table, getRedshiftSchema(type), schemaAdapter);
 			// const tableReady = await waitForTableToBeReady(table);
 			results.push(true);
 		}
@@ -179,6 +206,29 @@ async function verifyOrCreateTables(tableNames) {
 	return results;
 }
 
+/**
+ * schema evolution (see schemaEvolution.js); redshift adds one column per ALTER
+ * @type {import('../components/schemaEvolution.js').SchemaAdapter}
+ */
+const schemaAdapter = {
+	async describe(tableName) {
+		const rows = await executeSQL(`SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = '${redshift_schema_name}' AND table_name = '${tableName}'`, false, "", "", true);
+		return (rows || []).map(row => ({ name: row.column_name, type: row.data_type }));
+	},
+	async addColumns(tableName, fields) {
+		for (const field of fields) {
+			await executeSQL(`ALTER TABLE ${redshift_schema_name}.${tableName} ADD COLUMN ${field.name} ${field.type}`);
+		}
+	},
+	async record(migrations) {
+		const table = `${redshift_schema_name}.${migrationsTableName()}`;
+		const columns = migrationsSchema('redshift');
+		await executeSQL(`CREATE TABLE IF NOT EXISTS ${table} (${columns.map(f => `${f.name} ${f.type}`).join(', ')})`);
+		const values = migrations.map(migration => `(${columns.map(f => formatSQLValue(migration[f.name], f.type)).join(', ')})`);
+		await executeSQL(`INSERT INTO ${table} (${columns.map(f => f.name).join(', ')}) VALUES ${values.join(', ')}`, true);
+	}
+};
+
 async function checkIfTableExists(tableName) {
 	const checkTableQuery = `SELECT tablename FROM pg_catalog.pg_tables WHERE tablename = '${tableName}'`;
 	const result = await executeSQL(checkTableQuery);
@@ -194,20 +244,35 @@ async function createTable(tableName, schema) {
 async function insertData(batch, table, schema) {
 	log("[REDSHIFT] Starting data insertion...");
 	let result = { status: "born", dest: "redshift" };
+	// events skip insert_ids which are already in the table, so a retried (or resent) batch doesn't duplicate them
+	const merge = dedupe.isEnabled() && schema.some(f => f.name === 'insert_id');
 
 	const columnNames = schema.map(f => f.name).join(", ");
-	const valuesArray = batch.map(row => {
-		const rowValues = schema.map(field => formatSQLValue(row[field.name], field.type)).join(", ");
-		return `(${rowValues})`;
-	});
-	const valuesString = valuesArray.join(", ");
-	const insertSQL = `INSERT INTO ${redshift_schema_name}.${table} (${columnNames}) VALUES ${valuesString}`;
+	let insertSQL;
+	if (merge) {
+		// redshift's MERGE needs a WHEN MATCHED action (which would rewrite the row); an anti-join inserts only the new ones
+		const target = `${redshift_schema_name}.${table}`;
+		const source = literalRows(dedupe.dropDuplicates(batch).unique, schema.map(f => [f.name, f.type]));
+		insertSQL = `INSERT INTO ${target} (${columnNames}) SELECT ${schema.map(f => `S.${f.name}`).join(", ")} FROM (${source}) S LEFT JOIN ${target} T ON T.insert_id = S.insert_id WHERE T.insert_id IS NULL`;
+	}
+	else {
+		const valuesArray = batch.map(row => {
+			const rowValues = schema.map(field => formatSQLValue(row[field.name], field.type)).join(", ");
+			return `(${rowValues})`;
+		});
+		const valuesString = valuesArray.join(", ");
+		insertSQL = `INSERT INTO ${redshift_schema_name}.${table} (${columnNames}) VALUES ${valuesString}`;
+	}
 
 	const start = Date.now();
 	try {
 		const insertResult = await executeSQL(insertSQL, true);
 		const duration = Date.now() - start;
 		result = { ...result, duration, status: 'success', insertedRows: batch.length, failedRows: 0 };
+		if (merge) {
+			const insertedRows = typeof insertResult === 'number' ? insertResult : batch.length;
+			result = { ...result, insertedRows, meta: { duplicates: batch.length - insertedRows } };
+		}
 	} catch (error) {
 		const duration = Date.now() - start;
 		result = { ...result, status: 'error', errorMessage: error.message, errors: error, duration, insertedRows: 0, failedRows: batch.length };
@@ -227,19 +292,24 @@ function getRedshiftSchema(type) {
 		engage: schemas.usersSchema,
 		group: schemas.groupsSchema,
 		groups: schemas.groupsSchema,
+		user_current: schemas.usersStateSchema,
+		group_current: schemas.groupsStateSchema,
 	};
 	const schema = schemaMappings[type];
 	if (!schema) throw new Error("Invalid Record Type");
-	return schema;
+	return extendSchema(schema, type, 'redshift');
 }
 
 /**
  * Executes a given SQL query on the Redshift connection
  * @param {string} sql 
  * @param {boolean} isBatch
+ * @param {string} [altDb]
+ * @param {string} [altWrkgrp]
+ * @param {boolean} [fetchRows] return the result set (as objects) instead of the number of rows
  * @returns {Promise<number | any>}
  */
-async function executeSQL(sql, isBatch = false, altDb = "", altWrkgrp = "") {
+async function executeSQL(sql, isBatch = false, altDb = "", altWrkgrp = "", fetchRows = false) {
 	const options = { Sql: sql, Database: redshift_database, WorkgroupName: redshift_workgroup };
 	if (altDb) options.Database = altDb;
 	if (altWrkgrp) options.WorkgroupName = altWrkgrp;
@@ -268,6 +338,7 @@ async function executeSQL(sql, isBatch = false, altDb = "", altWrkgrp = "") {
 			}
 		} while (statementStatus !== 'FINISHED');
 
+		if (fetchRows) return await getStatementRows(statementId);
 		const { ResultRows = null } = describeResponse;
 		return ResultRows;
 
@@ -278,12 +349,112 @@ async function executeSQL(sql, isBatch = false, altDb = "", altWrkgrp = "") {
 	}
 }
 
+/**
+ * reads every page of a finished statement's result set
+ * @param  {string | undefined} statementId
+ * @returns {Promise<Object[]>}
+ */
+async function getStatementRows(statementId) {
+	const rows = [];
+	let nextToken;
+	do {
+		const page = await redshiftClient.send(new GetStatementResultCommand({ Id: statementId, NextToken: nextToken }));
+		const columns = (page.ColumnMetadata || []).map(c => c.name || c.label || "");
+		for (const record of page.Records || []) {
+			const row = {};
+			record.forEach((field, i) => {
+				row[columns[i]] = field.isNull ? null : field.stringValue ?? field.longValue ?? field.doubleValue ?? field.booleanValue ?? null;
+			});
+			rows.push(row);
+		}
+		nextToken = page.NextToken;
+	} while (nextToken);
+	return rows;
+}
+
+/*
+----------------
+PROFILE STATE
+----------------
+*/
+
+/**
+ * the profiles (as literals) for USING / JOIN; redshift has no VALUES tables, so this is a UNION ALL of SELECTs
+ * @param  {Object[]} rows
+ * @param  {[string, string][]} columns name + type
+ */
+function literalRows(rows, columns) {
+	return rows.map(row => `SELECT ${columns.map(([name, type]) => `${formatSQLValue(row[name], type.replace(/\(.*\)$/, ''))}::${type} AS ${name}`).join(', ')}`).join(' UNION ALL ');
+}
+
+/**
+ * the current rows for some profiles
+ * @param  {string} stateTable
+ * @param  {Object[]} keys i.e. [{distinct_id: 'foo'}]
+ * @param  {Endpoints} type
+ */
+async function readProfiles(stateTable, keys, type) {
+	const keyColumns = profileKeys(type);
+	const query = `
+		SELECT ${keyColumns.map(k => `T.${k}`).join(', ')}, JSON_SERIALIZE(T.properties) AS properties, T.version, T.last_batch
+		FROM ${redshift_schema_name}.${stateTable} T
+		JOIN (${literalRows(keys, keyColumns.map(k => [k, 'VARCHAR']))}) S
+		ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}`;
+	return await executeSQL(query, false, "", "", true);
+}
+
+/**
+ * upserts (or deletes) profiles; rows which changed since they were read (version != base_version) are left alone
+ * redshift's MERGE takes one unconditional WHEN MATCHED, so deletes are a separate statement and the version check is in the source
+ * @param  {string} stateTable
+ * @param  {import('../components/profileState').ProfileUpdate[]} updates
+ * @param  {Endpoints} type
+ * @returns {Promise<number>} how many rows were inserted, updated or deleted
+ */
+async function mergeProfiles(stateTable, updates, type) {
+	const keyColumns = profileKeys(type);
+	const target = `${redshift_schema_name}.${stateTable}`;
+	/** @type {[string, string][]} */
+	const sourceColumns = [...keyColumns.map(k => [k, 'VARCHAR']), ['token', 'VARCHAR'], ['properties', 'VARCHAR(65535)'], ['base_version', 'INTEGER'], ['batch_id', 'VARCHAR']];
+	const on = keyColumns.map(k => `${stateTable}.${k} = S.${k}`).join(' AND ');
+
+	// the data api reports each statement's affected rows (ResultRows)
+	let affected = 0;
+	const deletes = updates.filter(update => update.deleted);
+	if (deletes.length) {
+		affected += Number(await executeSQL(`DELETE FROM ${target} USING (${literalRows(deletes, sourceColumns)}) S WHERE ${on} AND ${stateTable}.version = S.base_version`)) || 0;
+	}
+
+	const upserts = updates.filter(update => !update.deleted);
+	if (upserts.length) {
+		const columns = [...keyColumns, 'token', 'properties', 'version', 'last_batch', 'updated_time'];
+		const values = [...keyColumns.map(k => `S.${k}`), 'S.token', 'JSON_PARSE(S.properties)', '1', 'S.batch_id', 'GETDATE()'];
+		const query = `
+			MERGE INTO ${target}
+			USING (
+				SELECT S.* FROM (${literalRows(upserts, sourceColumns)}) S
+				LEFT JOIN ${target} T ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}
+				WHERE COALESCE(T.version, 0) = S.base_version
+			) S
+			ON ${on}
+			WHEN MATCHED THEN
+				UPDATE SET token = S.token, properties = JSON_PARSE(S.properties), version = ${stateTable}.version + 1, last_batch = S.batch_id, updated_time = GETDATE()
+			WHEN NOT MATCHED THEN
+				INSERT (${columns.join(', ')}) VALUES (${values.join(', ')})`;
+		affected += Number(await executeSQL(query, true)) || 0;
+	}
+	log(`[REDSHIFT] merged ${affected} of ${updates.length} profiles into ${stateTable}`);
+	return affected;
+}
+
 function formatSQLValue(value, type) {
 	if (value === null || value === undefined || value === "") return 'NULL';
 	switch (type) {
 		case 'INTEGER':
+		case 'BIGINT':
 			return parseInt(value, 10);
 		case 'REAL':
+		case 'DOUBLE PRECISION':
 			return parseFloat(value);
 		case 'BOOLEAN':
 			return value.toString().toLowerCase() === 'true' ? 'TRUE' : 'FALSE';
@@ -303,9 +474,15 @@ function formatSQLValue(value, type) {
 }
 
 
-async function dropTables(tableNames) {
+/**
+ * drops the mixpanel tables (and their _current state tables)... this is a destructive operation
+ * @param  {Partial<TableNames>} tableNames the tables to drop
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be dropped
+ */
+async function dropTables(tableNames, { dryRun = false } = {}) {
+	const targetTables = withStateTables(tableNames, profile_state);
+	if (dryRun) return { dryRun: true, wouldDrop: targetTables.map(table => `${redshift_schema_name}.${table}`) };
 	log(`[REDSHIFT] Dropping tables...`);
-	const targetTables = Object.values(tableNames);
 	const droppedTables = [];
 	const dropPromises = targetTables.map(async (table) => {
 		const dropTableQuery = `DROP TABLE IF EXISTS ${redshift_schema_name}.${table}`;
@@ -318,8 +495,30 @@ async function dropTables(tableNames) {
 
 }
 
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return {
+		isClientReady: isClientReady === true,
+		areTablesReady: areTablesReady === true,
+		...(profile_state ? { areStateTablesReady: areStateTablesReady === true } : {})
+	};
+}
+
+/**
+ * a cheap live check for /health, through the data API
+ */
+async function probe() {
+	if (!redshiftClient) throw new Error('Redshift client is not initialized');
+	await executeSQL('SELECT 1');
+}
+
 main.drop = dropTables;
 main.init = initializeRedshift;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
 
 
@@ -6,13 +6,15 @@ AMAZON S3 MIDDLEWARE
 
 const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand, CreateBucketCommand, HeadBucketCommand } = require('@aws-sdk/client-s3');
 const path = require('path');
-const { uid, touch, rm, load } = require('ak-tools');
+const { touch, rm, load } = require('ak-tools');
 const { tmpdir } = require('os');
 const log = require("../components/logger.js");
-const dayjs = require('dayjs');
-const TODAY = dayjs().format('YYYY-MM-DD');
 const zlib = require('zlib');
 const { insertWithRetry } = require("../components/retries.js");
+const { schematizeForWarehouse } = require('../components/transforms.js');
+const { toParquet, getParquetSchema } = require('../components/parquet.js');
+const lakeBuffer = require('../components/lakeBuffer.js');
+const { keyMatcher } = require('../components/lakeKeys.js');
 
 const NODE_ENV = process.env.NODE_ENV || "prod";
 const TEMP_DIR = NODE_ENV === 'prod' ? path.resolve(tmpdir()) : path.resolve('./tmp');
@@ -40,6 +42,7 @@ let s3_secret_access_key;
 let isClientReady;
 let isBucketReady;
 let canWriteToBucket;
+let lake_format;
 
 /**
  * Main function to handle S3 data insertion
@@ -72,7 +75,12 @@ async function main(data, type, tableNames) {
 			throw new Error("Invalid Record Type");
 	}
 
-	const result = await insertWithRetry(insertData, data, targetPrefix);
+	// parquet files are typed, so they get the warehouse columns; json files get the flat records
+	const schema = lake_format === 'parquet' ? getParquetSchema(type) : [];
+	const batch = schema.length ? schematizeForWarehouse(data, schema) : data;
+	// one file per partition (or per rollover, see lakeBuffer.js); each file is retried on its own
+	const ext = schema.length ? 'parquet' : 'json.gz';
+	const result = await lakeBuffer.add('s3', type, batch, targetPrefix, ext);
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -86,6 +94,7 @@ async function initializeS3(tableNames) {
 		s3_access_key_id,
 		s3_secret_access_key,
 	} = process.env);
+	lake_format = process.env.LAKE_FORMAT?.toLowerCase() || 'json';
 
 	if (!isClientReady) {
 		isClientReady = await verifyS3Credentials();
@@ -103,6 +112,9 @@ async function initializeS3(tableNames) {
 		if (!canWriteToBucket) throw new Error("Could not verify read/write bucket permissions.");
 	}
 
+	// the buffer writes (and re-writes recovered) files through this
+	lakeBuffer.register('s3', (records, key, type) => insertWithRetry(insertData, records, key, lake_format === 'parquet' ? getParquetSchema(type) : [], { destination: 's3' }));
+
 	return [isClientReady, isBucketReady, canWriteToBucket];
 }
 
@@ -232,17 +244,17 @@ async function verifyReadAndWritePermissions() {
 
 /**
  * Insert data into S3
- * @param  {FlatData} batch
- * @param  {string} prefix
+ * @param  {FlatData | WarehouseData} batch
+ * @param  {string} fileName the object key (see lakeKeys.js)
+ * @param  {Schema} [schema] when present, the batch is written as parquet
  * @return {Promise<InsertResult>}
  */
-async function insertData(batch, prefix) {
+async function insertData(batch, fileName, schema = []) {
 	log("[S3] Starting data upload...");
-	if (!prefix) throw new Error("Prefix name not provided.");
-	if (prefix?.endsWith("/")) prefix = prefix.slice(0, -1);
+	if (!fileName) throw new Error("File name not provided.");
 	let result = { status: "born" };
-	const fileName = `${prefix}/${TODAY}_${uid(42)}.json.gz`;
-	const dataToUpload = zlib.gzipSync(batch.map(record => JSON.stringify(record)).join('\n'));
+	const isParquet = schema.length > 0;
+	const dataToUpload = isParquet ? await toParquet(batch, schema) : zlib.gzipSync(batch.map(record => JSON.stringify(record)).join('\n'));
 	// const dataToUpload = batch.map(record => JSON.stringify(record)).join('\n');
 
 	try {
@@ -262,29 +274,35 @@ async function insertData(batch, prefix) {
 }
 
 /**
- * Delete bucket and all files. This is a destructive operation.
- * @param  {TableNames} tableNames
+ * Delete every file written for the mixpanel tables (keys which match LAKE_KEY_TEMPLATE for each table). This is a destructive operation.
+ * @param  {Partial<TableNames>} tableNames the tables to delete
+ * @param  {{dryRun?: boolean}} [options] dryRun: only list what would be deleted
  */
-async function deleteAllFiles(tableNames) {
-	const { eventTable, userTable, groupTable } = tableNames;
-	const tables = [eventTable, userTable, groupTable];
+async function deleteAllFiles(tableNames, { dryRun = false } = {}) {
+	const matchers = Object.values(tableNames).filter(a => a).map(table => keyMatcher(table));
 	try {
-		const listParams = {
-			Bucket: s3_bucket,
-		};
-		const listObjectsResponse = await s3client.send(new ListObjectsV2Command(listParams));
-		const filesToDelete = listObjectsResponse?.Contents?.filter(f => tables.some(t => f?.Key?.includes(t)));
-
-		const deleteParams = {
-			Bucket: s3_bucket,
-			Delete: {
-				Objects: filesToDelete?.map(f => ({ Key: f.Key }))
-			}
-		};
-		if (!filesToDelete || !filesToDelete?.length) { return { numFilesDeleted: 0 }; }
-		const deleteFilesResult = await s3client.send(new DeleteObjectsCommand(deleteParams));
-		log(`[S3] Deleted ${filesToDelete?.length || 0} files from bucket ${s3_bucket}.`);
-		return { numFilesDeleted: filesToDelete?.length || 0 };
+		const filesToDelete = [];
+		let ContinuationToken;
+		do {
+			const listObjectsResponse = await s3client.send(new ListObjectsV2Command({ Bucket: s3_bucket, ContinuationToken }));
+			filesToDelete.push(...(listObjectsResponse?.Contents || []).filter(f => matchers.some(m => m.test(f?.Key || ''))).map(f => f.Key));
+			ContinuationToken = listObjectsResponse?.IsTruncated ? listObjectsResponse.NextContinuationToken : undefined;
+		} while (ContinuationToken);
+
+		if (dryRun) return { dryRun: true, wouldDrop: filesToDelete };
+		if (!filesToDelete.length) { return { numFilesDeleted: 0 }; }
+		// DeleteObjects takes at most 1000 keys
+		for (let i = 0; i < filesToDelete.length; i += 1000) {
+			const deleteParams = {
+				Bucket: s3_bucket,
+				Delete: {
+					Objects: filesToDelete.slice(i, i + 1000).map(Key => ({ Key }))
+				}
+			};
+			await s3client.send(new DeleteObjectsCommand(deleteParams));
+		}
+		log(`[S3] Deleted ${filesToDelete.length} files from bucket ${s3_bucket}.`);
+		return { numFilesDeleted: filesToDelete.length };
 	} catch (error) {
 		log(`[S3] Error deleting files from S3: ${error.message}`, error);
 		throw error;
@@ -311,6 +329,24 @@ async function streamToString(stream) {
 	});
 }
 
+/**
+ * readiness flags for /health
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return { isClientReady: isClientReady === true, isBucketReady: isBucketReady === true, canWriteToBucket: canWriteToBucket === true };
+}
+
+/**
+ * a cheap live check for /health: HEAD the bucket
+ */
+async function probe() {
+	if (!s3client) throw new Error('S3 client is not initialized');
+	await s3client.send(new HeadBucketCommand({ Bucket: s3_bucket }));
+}
+
 main.drop = deleteAllFiles;
 main.init = initializeS3;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
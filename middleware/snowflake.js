@@ -12,6 +12,10 @@ const { uid } = require('ak-tools');
 const { tmpdir } = require('os');
 const dayjs = require('dayjs');
 const { insertWithRetry } = require("../components/retries.js");
+const { stateTableName, withStateTables, profileKeys, updateProfileState } = require("../components/profileState.js");
+const { extendSchema } = require("../components/schemaExtensions.js");
+const { evolveTable, migrationsSchema, migrationsTableName } = require("../components/schemaEvolution.js");
+const dedupe = require("../components/dedupe.js");
 
 
 /** @typedef { import('../types.js').SnowflakeTypes } SnowflakeTypes */
@@ -60,6 +64,8 @@ let isConnectionReady;
 let isDatasetReady;
 let areTablesReady;
 let currentUser;
+let profile_state;
+let areStateTablesReady;
 
 //required for copy into
 let snowflake_stage;
@@ -131,7 +137,20 @@ async function main(data, type, tableNames) {
 			throw new Error("Invalid transport method");
 	}
 
-	const result = await insertWithRetry(insertMethod, preparedData, targetTable, schema);
+	const result = await insertWithRetry(insertMethod, preparedData, targetTable, schema, { destination: 'snowflake' });
+
+	// keep <table>_current up to date; the raw rows are already in, so a failure here is reported but not retried
+	if (profile_state && type !== "track" && result.status === "success") {
+		const stateTable = stateTableName(targetTable);
+		try {
+			const store = { read: (keys) => readProfiles(stateTable, keys, type), write: (updates) => mergeProfiles(stateTable, updates, type) };
+			result.meta = { ...result.meta, profileState: await updateProfileState(`snowflake:${stateTable}`, preparedData, type, store) };
+		}
+		catch (e) {
+			log(`[SNOWFLAKE] Error updating ${stateTable}: ${e.message}`, e);
+			result.meta = { ...result.meta, profileState: { status: "error", error: e.message } };
+		}
+	}
 	const duration = Date.now() - startTime;
 	result.duration = duration;
 	return result;
@@ -169,6 +188,7 @@ async function initializeSnowflake(tableNames) {
 		// @ts-ignore
 		MAX_RETRIES
 	} = process.env);
+	profile_state = process.env.PROFILE_STATE?.toString()?.toLowerCase() === 'true';
 
 	const { eventTable, userTable, groupTable } = tableNames;
 	const allTableNames = Object.entries(tableNames);
@@ -196,6 +216,12 @@ async function initializeSnowflake(tableNames) {
 
 	}
 
+	if (profile_state && !areStateTablesReady) {
+		const tableCheckResults = await verifyOrCreateTables([["user_current", stateTableName(userTable)], ["group_current", stateTableName(groupTable)]]);
+		areStateTablesReady = tableCheckResults.every(result => result);
+		if (!areStateTablesReady) throw new Error("Profile state table verification or creation failed.");
+	}
+
 	const result = [isConnectionReady, isDatasetReady, areTablesReady];
 
 	// if users gives a stage name, we will use COPY INTO
@@ -388,6 +414,7 @@ async function verifyOrCreateTables(tableNames) {
 			}
 		} else {
 			log(`[SNOWFLAKE] Table ${table} already exists.`);
+			await evolveTable('snowflake', table, getSnowflakeSchema(type), schemaAdapter);
 			const tableReady = await waitForTableToBeReady(table);
 			if (tableReady) {
 				results.push(true);
@@ -400,6 +427,30 @@ async function verifyOrCreateTables(tableNames) {
 	return results;
 }
 
+/**
+ * schema evolution (see schemaEvolution.js); unquoted identifiers are upper case in the information schema
+ * @type {import('../components/schemaEvolution.js').SchemaAdapter}
+ */
+const schemaAdapter = {
+	async describe(tableName) {
+		const rows = await executeSQL(`SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = CURRENT_SCHEMA() AND TABLE_NAME = UPPER('${tableName}')`);
+		if (!Array.isArray(rows)) throw new Error(`could not describe ${tableName}`);
+		return rows.map(row => ({ name: row.COLUMN_NAME, type: row.DATA_TYPE }));
+	},
+	async addColumns(tableName, fields) {
+		await executeSQL(`ALTER TABLE ${tableName} ADD COLUMN ${fields.map(f => `${f.name} ${f.type}`).join(', ')}`);
+	},
+	async record(migrations) {
+		const columns = migrationsSchema('snowflake');
+		await executeSQL(`CREATE TABLE IF NOT EXISTS ${migrationsTableName()} (${columns.map(f => `${f.name} ${f.type}`).join(', ')})`);
+		await executeSQL(
+			`INSERT INTO ${migrationsTableName()} (${columns.map(f => f.name).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+			// @ts-ignore
+			migrations.map(migration => columns.map(f => migration[f.name]))
+		);
+	}
+};
+
 async function verifyOrCreateStage() {
 	const checkStageQuery = `SHOW STAGES LIKE '${snowflake_stage}'`;
 	const result = await executeSQL(checkStageQuery);
@@ -551,17 +602,20 @@ INSERT
 async function insertData(batch, table, schema) {
 	log("[SNOWFLAKE] Append rows via INSERT...");
 	let result = { status: "born", dest: "snowflake" };
+	// events are MERGEd on insert_id, so a retried (or resent) batch doesn't duplicate them
+	const merge = dedupe.isEnabled() && schema.some(f => f.name === 'insert_id');
+	const rows = merge ? dedupe.dropDuplicates(batch).unique : batch;
 	// Insert data
-	const [insertSQL, hasVariant] = prepareInsertSQL(schema, table);
+	const [insertSQL, hasVariant] = prepareInsertSQL(schema, table, merge);
 	let data;
 	if (hasVariant) {
 		//variant columns need to be stringified as an ENTIRE ROW
 		//this is weird
-		data = [batch.map(row => prepareComplexRows(row, schema))].map(rows => JSON.stringify(rows));
+		data = [rows.map(row => prepareComplexRows(row, schema))].map(rows => JSON.stringify(rows));
 	}
 	else {
 		//datasets without variant columns can be inserted as an array of arrays (flatMap)
-		data = batch.map(row => schema.map(f => formatBindValue(row[f.name], f.type))); //.map(row => JSON.stringify(row));
+		data = rows.map(row => schema.map(f => formatBindValue(row[f.name], f.type))); //.map(row => JSON.stringify(row));
 	}
 	const start = Date.now();
 	try {
@@ -569,8 +623,10 @@ async function insertData(batch, table, schema) {
 		const task = await executeSQL(insertSQL, data);
 		const duration = Date.now() - start;
 		const insertedRows = task?.[0]?.['number of rows inserted'] || 0;
-		const failedRows = batch.length - insertedRows;
+		// when merging, rows which weren't inserted were already there
+		const failedRows = merge ? 0 : batch.length - insertedRows;
 		result = { ...result, duration, status: 'success', insertedRows, failedRows, meta: { method: transport } };
+		if (merge) result.meta.duplicates = batch.length - insertedRows;
 
 	} catch (error) {
 		const duration = Date.now() - start;
@@ -593,12 +649,15 @@ async function insertData(batch, table, schema) {
 async function copyIntoData(batch, table, schema) {
 	log("[SNOWFLAKE] Appending data using COPY INTO...");
 	let result = { status: "born" };
+	// like insertData: events are MERGEd on insert_id (COPY INTO can only append, so they are copied into a temporary table first)
+	const merge = dedupe.isEnabled() && schema.some(f => f.name === 'insert_id');
+	const rows = merge ? dedupe.dropDuplicates(batch).unique : batch;
 
 	const FILE_PATH = path.resolve(TEMP_DIR, `${table}_${TODAY}_${uid(18)}.json`);
 	const fileName = path.basename(FILE_PATH);
 
 	// Prepare data to be uploaded to the stage
-	const dataToUpload = batch.map(record => JSON.stringify(record)).join('\n');
+	const dataToUpload = rows.map(record => JSON.stringify(record)).join('\n');
 
 	// Write data to a temporary file
 	const writeFileResult = await writeFile(FILE_PATH, dataToUpload);
@@ -621,8 +680,9 @@ async function copyIntoData(batch, table, schema) {
 	// instead we would call flushStageToTable every 5% of the time and deleteAllFilesFromStage
 
 	// Use the COPY INTO command to load the data from the stage into the table
+	const loadTable = merge ? `${table}_load_${uid(12)}` : table;
 	const copyCommand = `
-	  COPY INTO ${table}
+	  COPY INTO ${loadTable}
 	  FROM (
 		SELECT ${columnMappings}
 		FROM ${stageName}/${fileName}
@@ -630,9 +690,23 @@ async function copyIntoData(batch, table, schema) {
 	  FILE_FORMAT = (TYPE = 'JSON');
 	`;
 	try {
+		if (merge) await executeSQL(`CREATE TEMPORARY TABLE ${loadTable} LIKE ${table}`);
 		const copyIntoResult = await executeSQL(copyCommand);
-		log(`[SNOWFLAKE] Data copied from stage ${stageName} into table ${table}`);
+		log(`[SNOWFLAKE] Data copied from stage ${stageName} into table ${loadTable}`);
 		result = { status: 'success', insertedRows: batch.length, failedRows: 0, meta: { method: transport } };
+		if (merge) {
+			const columns = schema.map(f => f.name);
+			const mergeResult = await executeSQL(`
+				MERGE INTO ${table} T
+				USING ${loadTable} S
+				ON T.insert_id = S.insert_id
+				WHEN NOT MATCHED THEN
+					INSERT (${columns.join(", ")}) VALUES (${columns.map(name => `S.${name}`).join(", ")})
+			`);
+			const insertedRows = mergeResult?.[0]?.['number of rows inserted'] || 0;
+			// rows which weren't inserted were already there
+			result = { ...result, insertedRows, meta: { method: transport, duplicates: batch.length - insertedRows } };
+		}
 
 		const removeCommand = `REMOVE ${stageName}/${fileName}`;
 		const removeFileResult = await executeSQL(removeCommand);
@@ -642,8 +716,9 @@ async function copyIntoData(batch, table, schema) {
 		log(`[SNOWFLAKE] Error copying data into table: ${error.message}`, error);
 		throw error;
 	} finally {
-		// Remove the temporary file
+		// Remove the temporary file (and table)
 		const removeLocalFileResult = await unlink(FILE_PATH);
+		if (merge) await executeSQL(`DROP TABLE IF EXISTS ${loadTable}`, undefined, true);
 	}
 
 	log("[SNOWFLAKE] Data insertion using Snowpipe complete.");
@@ -819,6 +894,66 @@ async function createOrReplaceTasks(table, schema, stageName, hours = 3) {
 
 
 
+/*
+----------------
+PROFILE STATE
+----------------
+*/
+
+/**
+ * the current rows for some profiles
+ * @param  {string} stateTable
+ * @param  {Object[]} keys i.e. [{distinct_id: 'foo'}]
+ * @param  {Endpoints} type
+ */
+async function readProfiles(stateTable, keys, type) {
+	const keyColumns = profileKeys(type);
+	const query = `
+		SELECT ${keyColumns.map(k => `T.${k} AS "${k}"`).join(', ')}, TO_JSON(T.properties) AS "properties", T.version AS "version", T.last_batch AS "last_batch"
+		FROM ${stateTable} T
+		JOIN (SELECT ${keyColumns.map(k => `value:${k}::VARCHAR AS ${k}`).join(', ')} FROM TABLE(FLATTEN(PARSE_JSON(?)))) S
+		ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}`;
+	const rows = await executeSQL(query, [JSON.stringify(keys)]);
+	if (!Array.isArray(rows)) throw new Error(`Failed to read ${stateTable}`);
+	return rows;
+}
+
+/**
+ * upserts (or deletes) profiles; rows which changed since they were read (version != base_version) are left alone
+ * @param  {string} stateTable
+ * @param  {import('../components/profileState').ProfileUpdate[]} updates
+ * @param  {Endpoints} type
+ * @returns {Promise<number>} how many rows the MERGE inserted, updated or deleted
+ */
+async function mergeProfiles(stateTable, updates, type) {
+	const keyColumns = profileKeys(type);
+	const columns = [...keyColumns, 'token', 'properties', 'version', 'last_batch', 'updated_time'];
+	const values = [...keyColumns.map(k => `S.${k}`), 'S.token', 'S.properties', '1', 'S.batch_id', 'CURRENT_TIMESTAMP()'];
+	const query = `
+		MERGE INTO ${stateTable} T
+		USING (
+			SELECT ${keyColumns.map(k => `value:${k}::VARCHAR AS ${k}`).join(', ')},
+				value:token::VARCHAR AS token,
+				PARSE_JSON(value:properties::VARCHAR) AS properties,
+				value:deleted::BOOLEAN AS deleted,
+				value:base_version::INTEGER AS base_version,
+				value:batch_id::VARCHAR AS batch_id
+			FROM TABLE(FLATTEN(PARSE_JSON(?)))
+		) S
+		ON ${keyColumns.map(k => `T.${k} = S.${k}`).join(' AND ')}
+		WHEN MATCHED AND T.version = S.base_version AND S.deleted THEN DELETE
+		WHEN MATCHED AND T.version = S.base_version THEN
+			UPDATE SET token = S.token, properties = S.properties, version = T.version + 1, last_batch = S.batch_id, updated_time = CURRENT_TIMESTAMP()
+		WHEN NOT MATCHED AND S.base_version = 0 AND NOT S.deleted THEN
+			INSERT (${columns.join(', ')}) VALUES (${values.join(', ')})`;
+	const result = await executeSQL(query, [JSON.stringify(updates)]);
+	// i.e. [{"number of rows inserted": 1, "number of rows updated": 2, "number of rows deleted": 0}]
+	const counts = Array.isArray(result) ? result[0] || {} : {};
+	const affected = Object.entries(counts).filter(([key]) => key.startsWith('number of rows')).reduce((sum, [, count]) => sum + (Number(count) || 0), 0);
+	log(`[SNOWFLAKE] merged ${affected} of ${updates.length} profiles into ${stateTable}`);
+	return affected;
+}
+
 
 async function getCurrentUser() {
 	try {
@@ -847,10 +982,12 @@ function getSnowflakeSchema(type) {
 		engage: schemas.usersSchema,
 		group: schemas.groupsSchema,
 		groups: schemas.groupsSchema,
+		user_current: schemas.usersStateSchema,
+		group_current: schemas.groupsStateSchema,
 	};
 	const schema = schemaMappings[type];
 	if (!schema) throw new Error("Invalid Record Type");
-	return schema;
+	return extendSchema(schema, type, 'snowflake');
 }
 
 /**
@@ -956,9 +1093,10 @@ function formatBindValue(value, type) {
  * ? https://github.com/snowflakedb/snowflake-connector-nodejs/issues/59
  * @param  {import('../types.js').Schema} schema
  * @param  {string} tableName
+ * @param  {boolean} [merge] MERGE on insert_id, skipping rows which are already in the table (tables with VARIANT columns)
  * @returns {[string, boolean]}
  */
-function prepareInsertSQL(schema, tableName) {
+function prepareInsertSQL(schema, tableName, merge = false) {
 	const hasVariant = schema.some(field => field.type === 'VARIANT');
 	if (hasVariant) {
 		// Build an SQL statement that uses FLATTEN and PARSE_JSON for VARIANT types
@@ -974,6 +1112,13 @@ function prepareInsertSQL(schema, tableName) {
 		}).join(", ");
 
 		// The query assumes that the JSON object keys match the lowercase version of the column names
+		if (merge) return [`
+            MERGE INTO ${tableName} T
+            USING (SELECT ${selectParts} FROM TABLE(FLATTEN(PARSE_JSON(?)))) S
+            ON T.insert_id = S.insert_id
+            WHEN NOT MATCHED THEN
+                INSERT (${schema.map(f => f.name).join(", ")}) VALUES (${schema.map(f => `S.${f.name}`).join(", ")})
+        `, true];
 		return [`
             INSERT INTO ${tableName}
             SELECT ${selectParts}
@@ -988,34 +1133,33 @@ function prepareInsertSQL(schema, tableName) {
 }
 
 /**
- * Drops the specified tables in Snowflake. This is a destructive operation.
- * @param {TableNames} tableNames
+ * Drops the specified tables in Snowflake (with their pipes, tasks and _current state tables). This is a destructive operation.
+ * the stage is shared by every table, so it's only dropped with all of them
+ * @param {Partial<TableNames>} tableNames the tables to drop
+ * @param {{dryRun?: boolean}} [options] dryRun: only list what would be dropped
  */
-async function dropTables(tableNames) {
-	const results = [];
-	const dropTablePromises = Object.values(tableNames).map(async (table) => {
-		// tables
-		const dropTableQuery = `DROP TABLE IF EXISTS ${table}`;
-		const dropTableResult = await executeSQL(dropTableQuery);
-		results.push(dropTableResult?.[0]?.status);
-		
-		// pipes
-		const dropPipeQuery = `DROP PIPE IF EXISTS ${snowflake_pipe}_${table}`;
-		const dropPipeResult = await executeSQL(dropPipeQuery);
-		results.push(dropPipeResult?.[0]?.status);
-
-		// tasks
-		const dropTaskQuery = `DROP TASK IF EXISTS ${snowflake_task}_${table}_task`;
-		const dropTaskResult = await executeSQL(dropTaskQuery);
-		results.push(dropTaskResult?.[0]?.status);
-	});
-
-	await Promise.all(dropTablePromises);
+async function dropTables(tableNames, { dryRun = false } = {}) {
+	const tables = Object.values(tableNames).filter(a => a);
+	const statements = tables.map(table => [
+		`DROP TABLE IF EXISTS ${table}`,
+		`DROP PIPE IF EXISTS ${snowflake_pipe}_${table}`,
+		`DROP TASK IF EXISTS ${snowflake_task}_${table}_task`
+	]);
+	// profile state
+	const stateTables = withStateTables(tableNames, profile_state).slice(tables.length);
+	statements.push(stateTables.map(table => `DROP TABLE IF EXISTS ${table}`));
+	// Drop stage
+	if (tableNames.eventTable && tableNames.userTable && tableNames.groupTable) statements.push([`DROP STAGE IF EXISTS ${snowflake_stage}`]);
+	if (dryRun) return { dryRun: true, wouldDrop: statements.flat() };
 
-	// Drop stage and pipe
-	const dropStageQuery = `DROP STAGE IF EXISTS ${snowflake_stage}`;
-	const dropStageResult = await executeSQL(dropStageQuery);
-	results.push(dropStageResult?.[0]?.status);
+	const results = [];
+	// each table's statements run in order; tables run side by side
+	await Promise.all(statements.map(async (queries) => {
+		for (const query of queries) {
+			const result = await executeSQL(query);
+			results.push(result?.[0]?.status);
+		}
+	}));
 
 	return { numTablesDropped: results.length, tablesDropped: results.flat() };
 
@@ -1093,6 +1237,31 @@ async function deleteAllFilesFromStage(stageName) {
 }
 
 
+/**
+ * readiness flags for /health; the stage + pipe flags only apply to those transports
+ * @returns {Object<string, boolean>}
+ */
+function getStatus() {
+	return {
+		isConnectionReady: isConnectionReady === true,
+		isDatasetReady: isDatasetReady === true,
+		areTablesReady: areTablesReady === true,
+		...(profile_state ? { areStateTablesReady: areStateTablesReady === true } : {}),
+		...(snowflake_stage ? { isStageReady: Boolean(isStageReady) } : {}),
+		...(snowflake_pipe ? { isPipeReady: Boolean(isPipeReady), isSnowPipeReady: Boolean(isSnowPipeReady) } : {})
+	};
+}
+
+/**
+ * a cheap live check for /health (uses the warehouse, if it's suspended this resumes it)
+ */
+async function probe() {
+	if (!connection) throw new Error('Snowflake connection is not initialized');
+	await executeSQL('SELECT 1');
+}
+
 main.drop = dropTables;
 main.init = initializeSnowflake;
+main.status = getStatus;
+main.probe = probe;
 module.exports = main;
@@ -13,6 +13,8 @@
 /** @typedef {import('./types').TableNames} TableNames */
 
 // DEPENDENCIES
+// before anything else; some components read their settings when they are required
+require('dotenv').config({ override: false });
 const express = require('express');
 const app = express();
 const { version } = require('./package.json');
@@ -27,7 +29,20 @@ const setupCORS = require('./components/corsConfig');
 const proxyAssets = require('./components/proxyAssets');
 const validateEnv = require('./components/validate');
 const bodyParse = require('./components/bodyParse');
-const { parseSDKData, flattenAndRenameForWarehouse, schematizeForWarehouse } = require('./components/transforms');
+const deadLetter = require('./components/deadLetter');
+const delivery = require('./components/delivery');
+const lakeBuffer = require('./components/lakeBuffer');
+const dedupe = require('./components/dedupe');
+const importApi = require('./components/importApi');
+const admin = require('./components/admin');
+const ingestAuth = require('./components/ingestAuth');
+const rateLimit = require('./components/rateLimit');
+const privacy = require('./components/privacy');
+const metrics = require('./components/metrics');
+const health = require('./components/health');
+const tracing = require('./components/tracing');
+const { onShutdown } = require('./components/shutdown');
+const { parseRequest, flattenAndRenameForWarehouse, schematizeForWarehouse } = require('./components/transforms');
 
 // LOGGING
 const log = require('./components/logger');
@@ -36,25 +51,34 @@ const log = require('./components/logger');
 const bigquery = require('./middleware/bigquery');
 const snowflake = require('./middleware/snowflake');
 const redshift = require('./middleware/redshift');
+const postgres = require('./middleware/postgres');
+const clickhouse = require('./middleware/clickhouse');
+const kafka = require('./middleware/kafka');
 const mixpanel = require('./middleware/mixpanel');
 const gcs = require('./middleware/gcs');
 const s3 = require('./middleware/s3');
 const azure = require('./middleware/azure');
-const middleware = { bigquery, snowflake, redshift, mixpanel, gcs, s3, azure };
+const file = require('./middleware/file');
+const http = require('./middleware/http');
+const middleware = { bigquery, snowflake, redshift, postgres, clickhouse, kafka, mixpanel, gcs, s3, azure, file, http };
 const middlewareList = Object.keys(middleware).map(m => m.toLowerCase());
 
 
 // ENV VARS + CONFIG
-require('dotenv').config({ override: false });
 const PARAMS = validateEnv();
 const NODE_ENV = process.env.NODE_ENV || 'prod';
 if (NODE_ENV === 'dev') { log.verbose(true); log.cli(true); } // log everything
 if (NODE_ENV === 'prod') { log.verbose(false); log.cli(false); } //only logs structured logs + error
-const { queue, queueMiddleware } = require('./components/queue');
+const { queue, queueMiddleware, replayQueue, depth: queueDepth } = require('./components/queue');
 const QUEUE_MAX = parseInt(process.env.QUEUE_MAX || "0") || 0;
 const QUEUE_INTERVAL = parseInt(process.env.QUEUE_INTERVAL || "900") || 900;
+const DELIVERY_MODE = process.env.DELIVERY_MODE?.toLowerCase() === 'async' ? 'async' : 'sync';
+const IMPORT_MAX_BATCH = parseInt(process.env.IMPORT_MAX_BATCH || "2000") || 2000;
+
+// a no-op unless OTEL_EXPORTER_OTLP_ENDPOINT is set
+tracing.init();
 
-log(`---- running in ${NODE_ENV} mode; version: ${version}; verbose: ${log.isVerbose()} cli: ${log.isCli()} queue_max: ${QUEUE_MAX} ----`);
+log(`---- running in ${NODE_ENV} mode; version: ${version}; verbose: ${log.isVerbose()} cli: ${log.isCli()} queue_max: ${QUEUE_MAX} delivery: ${DELIVERY_MODE} ingest_auth: ${ingestAuth.isEnabled() ? process.env.INGEST_AUTH : "off"} rate_limit: ${rateLimit.isEnabled() ? "on" : "off"} privacy: ${privacy.isEnabled() ? "on" : "off"} ----`);
 
 
 
@@ -71,13 +95,17 @@ const USERS_TABLE_NAME = process.env.USERS_TABLE_NAME || 'users';
 const GROUPS_TABLE_NAME = process.env.GROUPS_TABLE_NAME || 'groups';
 /** @type {TableNames} */
 const TABLE_NAMES = { eventTable: EVENTS_TABLE_NAME, userTable: USERS_TABLE_NAME, groupTable: GROUPS_TABLE_NAME };
+// what /drop?entity= accepts
+const DROP_ENTITIES = { events: 'eventTable', users: 'userTable', groups: 'groupTable' };
 
 // MIDDLEWARE
 let FRONTEND_URL = process.env.FRONTEND_URL || "";
 if (FRONTEND_URL === "none") FRONTEND_URL = "";
 const MIXPANEL_TOKEN = process.env.MIXPANEL_TOKEN || "";
+app.use(metrics.countRequests);
 setupCORS(app, FRONTEND_URL);
 proxyAssets(app, NODE_ENV);
+app.use(['/track', '/engage', '/groups', '/import'], tracing.middleware, rateLimit.limitIp);
 bodyParse(app);
 
 if (QUEUE_MAX > 0) app.use(queueMiddleware(handleMixpanelRequest));
@@ -85,13 +113,56 @@ if (QUEUE_MAX > 0) app.use(queueMiddleware(handleMixpanelRequest));
 
 // ROUTES
 //? https://developer.mixpanel.com/reference/track-event
-app.post('/track', queue('track', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('track', req, res));
-app.post('/engage', queue('engage', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('engage', req, res));
-app.post('/groups', queue('groups', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('groups', req, res));
+app.post('/track', ingestAuth.middleware('track'), rateLimit.limitTokens('track'), queue('track', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('track', req, res));
+app.post('/engage', ingestAuth.middleware('engage'), rateLimit.limitTokens('engage'), queue('engage', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('engage', req, res));
+app.post('/groups', ingestAuth.middleware('groups'), rateLimit.limitTokens('groups'), queue('groups', handleMixpanelRequest), async (req, res) => await handleMixpanelRequest('groups', req, res));
+//? https://developer.mixpanel.com/reference/import-events
+app.post('/import', authorizeImport, rateLimit.limitTokens('import'), async (req, res) => await handleImport(req, res));
 app.all('/', (req, res) => res.status(200).json({ status: "OK" }));
 app.all('/ping', (req, res) => res.status(200).json({ status: "OK", message: "pong", version }));
+app.get(['/health', '/ready'], async (req, res) => await handleHealth(req, res));
+app.get('/metrics', async (req, res) => res.set('Content-Type', metrics.contentType).send(await metrics.render()));
 app.all('/decide', (req, res) => res.status(299).send({ error: "the /decide endpoint is deprecated" }));
 app.all('/drop', async (req, res) => await handleDrop(req, res));
+app.get('/dead-letter', async (req, res) => await handleDeadLetterList(req, res));
+app.get('/dead-letter/:id', async (req, res) => await handleDeadLetterGet(req, res));
+app.post('/dead-letter/:id/redrive', async (req, res) => await handleDeadLetterRedrive(req, res));
+
+// in-use middleware + initialization
+const activeMiddleware = TARGETS
+	.filter(wh => middleware[wh.toLowerCase()])
+	.map(wh => ({ name: wh, api: middleware[wh.toLowerCase()] }));
+
+for (const { name, api: middleware } of activeMiddleware) {
+	if (middleware.init) {
+		//these methods are async, but we don't want to wait for them; failures are retried on the next insert (and dead-lettered)
+		Promise.resolve(middleware.init(TABLE_NAMES)).catch(e => {
+			log(`---- error initializing ${name} ---- `, e);
+			// i.e. SCHEMA_EVOLUTION=strict found a table we won't migrate
+			if (e.fatal) process.exit(1);
+		});
+		log(`---- initializing ${name} ----`);
+	}
+}
+
+// optionally mirror dead-lettered batches to a lake
+const DEAD_LETTER_LAKE = process.env.DEAD_LETTER_LAKE?.toLowerCase() || "";
+const deadLetterLake = activeMiddleware.find(m => m.name === DEAD_LETTER_LAKE);
+if (deadLetterLake) deadLetter.useLake(deadLetterLake.name, deadLetterLake.api);
+
+// recover anything a previous process left in the write-ahead log
+delivery.start(activeMiddleware, TABLE_NAMES);
+replayQueue(handleMixpanelRequest);
+
+// backlogs for /metrics
+metrics.trackDepth('queue', queueDepth);
+metrics.trackDepth('delivery', delivery.depth);
+
+// finish in-flight deliveries, then write whatever the lakes are holding, before the process exits
+onShutdown('delivery', delivery.drain);
+onShutdown('lake buffers', lakeBuffer.flushAll);
+onShutdown('tracing', tracing.shutdown);
+onShutdown('rate limit log', rateLimit.flushLog);
 
 // START by runtime
 const PORT = process.env.PORT || 8080;
@@ -101,8 +172,8 @@ if (RUNTIME === 'CLOUD_FUNCTIONS') RUNTIME = 'GCP';
 if (RUNTIME === 'CLOUD_RUN') RUNTIME = 'LOCAL';
 switch (RUNTIME) {
 	case 'GCP':
-		const { http } = require('@google-cloud/functions-framework');
-		http('mixpanel_proxy', app);
+		const functions = require('@google-cloud/functions-framework');
+		functions.http('mixpanel_proxy', app);
 		module.exports = app;
 		break;
 	case 'AWS':
@@ -120,18 +191,6 @@ switch (RUNTIME) {
 		break;
 }
 
-// in-use middleware + initialization
-const activeMiddleware = TARGETS
-	.filter(wh => middleware[wh.toLowerCase()])
-	.map(wh => ({ name: wh, api: middleware[wh.toLowerCase()] }));
-
-for (const { name, api: middleware } of activeMiddleware) {
-	if (middleware.init) {
-		middleware.init(TABLE_NAMES); //these methods are async, but we don't want to wait for them.
-		log(`---- initializing ${name} ----`);
-	}
-}
-
 /**
  * helper function to check if a middleware is supported
  * @param  {string} middleware_name user input from .env
@@ -155,7 +214,9 @@ async function handleMixpanelRequest(type, req, res) {
 	if (!type) return res.status(400).send('No type provided');
 	if (!req.body) return res.status(400).send('No data provided');
 
-	const data = parseSDKData(req.body?.data || req.body);
+	let data = tracing.withSpan('parseSDKData', { 'proxy.endpoint': type }, () => parseRequest(req));
+	metrics.recordParsed(type, data.length);
+	tracing.setAttributes({ 'proxy.records': data.length });
 	const endUserIp = req.headers['x-forwarded-for'] || req?.socket?.remoteAddress || req?.connection?.remoteAddress;
 
 
@@ -186,57 +247,346 @@ async function handleMixpanelRequest(type, req, res) {
 		}
 	});
 
-	const flatData = flattenAndRenameForWarehouse(data);
+	// drop events we've already handled (i.e. SDK resends) + repeats within the batch; ids are remembered once this batch is handled
+	const dedupeWindow = type === 'track' && dedupe.isEnabled() ? dedupe.getRequestWindow() : null;
+	if (dedupeWindow) {
+		const { unique, duplicates } = dedupe.dropDuplicates(data, dedupeWindow);
+		if (duplicates.length) log(`[DEDUPE] dropped ${duplicates.length} duplicate ${type} record(s)`);
+		if (!unique.length && data.length) {
+			const skipped = activeMiddleware.map(({ name }) => ({ name, result: { status: "duplicate", duplicates: duplicates.length } }));
+			res.send(skipped);
+			return skipped;
+		}
+		data = unique;
+	}
 
-	const results = [];
+	const batches = recordsByDestination(data);
+
+	// acknowledge-then-deliver; callers can opt into the per-destination report with ?sync=1 (not ?verbose=1, which the SDK sends with every batch)
+	if (DELIVERY_MODE === 'async' && req?.query?.sync !== '1') {
+		try {
+			delivery.accept(type, activeMiddleware.map(({ name }) => ({ name, records: batches.get(name) })));
+		}
+		catch (e) {
+			log(`---- error accepting ${type} data ---- `, e);
+			res.status(500).send(`An error occurred calling /${type}`);
+			return [];
+		}
+		if (dedupeWindow) dedupe.remember(data, dedupeWindow);
+		const accepted = activeMiddleware.map(({ name }) => ({ name, result: { status: "accepted", records: data.length } }));
+		res.send(accepted);
+		return accepted;
+	}
 
 	try {
-		const flush = await Promise.all(activeMiddleware.map(async middleware => {
-			const { name, api } = middleware;
-			try {
-				// log(`---- sending ${type} data to ${name}`);
-				const uploadData = middleware.name === 'mixpanel' ? data : clone(flatData);
-				const result = await api(uploadData, type, TABLE_NAMES);
-				results.push({ name, result });
-				return { name, result };
-			}
-			catch (e) {
-				log(`---- error sending ${type} data to ${name} ---- `, e);
-				results.push({ name, status: e.message });
-				return { name, status: `ERROR: ${e.message}` };
-			}
-		}));
+		const results = await sendToDestinations(type, batches);
+		// handled (failures are dead-lettered above), so the same ids again would be a resend
+		if (dedupeWindow) dedupe.remember(data, dedupeWindow);
 		res.send(results);
+		return results;
 	}
 
 	catch (error) {
 		if (RUNTIME === 'dev') console.error(error);
 		res.status(500).send(`An error occurred calling /${type}`);
+		return [];
 	}
+}
 
+/**
+ * each active middleware's records: the SDK's records with its privacy rules applied (see components/privacy),
+ * flattened for everything but mixpanel; destinations with the same rules share one flattened copy
+ * @param  {IncomingData} data
+ * @returns {Map<string, IncomingData | WarehouseData>} name -> records
+ */
+function recordsByDestination(data) {
+	const copies = privacy.forDestinations(data, activeMiddleware.map(({ name }) => name));
+	/** @type {Map<IncomingData, WarehouseData>} */
+	const flattened = new Map();
+	return new Map(activeMiddleware.map(({ name }) => {
+		const records = copies.get(name) || data;
+		if (name === 'mixpanel') return [name, records];
+		if (!flattened.has(records)) flattened.set(records, tracing.withSpan('flattenAndRenameForWarehouse', { 'proxy.records': records.length }, () => flattenAndRenameForWarehouse(records)));
+		return [name, flattened.get(records)];
+	}));
+}
+
+/**
+ * sends a batch to every active middleware and waits for them; failures are dead-lettered
+ * @param  {Endpoints} type
+ * @param  {Map<string, IncomingData | WarehouseData>} batches each middleware's records (see recordsByDestination)
+ * @param  {Endpoints | 'import'} [mixpanelType] which mixpanel API to send to
+ */
+async function sendToDestinations(type, batches, mixpanelType = type) {
+	const results = [];
+	await Promise.all(activeMiddleware.map(async middleware => {
+		const { name, api } = middleware;
+		// mixpanel's /import batches are dead-lettered as `import`, so a redrive goes back to /import
+		const destinationType = name === 'mixpanel' ? mixpanelType : type;
+		const records = batches.get(name) || [];
+		const start = Date.now();
+		try {
+			// log(`---- sending ${type} data to ${name}`);
+			const uploadData = name === 'mixpanel' ? records : clone(records);
+			const attributes = { 'proxy.destination': name, 'proxy.endpoint': destinationType, 'proxy.records': uploadData.length };
+			const result = await tracing.withSpan(`insert ${name}`, attributes, async (span) => {
+				// @ts-ignore
+				const result = await api(uploadData, destinationType, TABLE_NAMES);
+				tracing.recordResult(span, result);
+				return result;
+			});
+			metrics.recordInsert(name, destinationType, uploadData.length, result, (Date.now() - start) / 1000);
+			results.push({ name, result });
+			return { name, result };
+		}
+		catch (e) {
+			metrics.recordInsert(name, destinationType, records.length, null, (Date.now() - start) / 1000);
+			log(`---- error sending ${type} data to ${name} ---- `, e);
+			const failure = { name, status: e.message };
+			try {
+				failure.deadLetter = await deadLetter.write(records, { destination: name, type: destinationType, table: getTableName(type), error: e.message, attempts: e.attempts || 1 });
+			}
+			catch (dlqError) {
+				log(`---- error dead-lettering ${type} data for ${name} ---- `, dlqError);
+			}
+			results.push(failure);
+			return { name, status: `ERROR: ${e.message}` };
+		}
+	}));
+	tracing.setAttributes({ 'proxy.result.status': results.every(r => r.result && r.result.status !== 'error') ? 'success' : 'error' });
 	return results;
 }
 
+/**
+ * express middleware for /import: checks the project secret (or service account) before anything else looks at the request
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @param  {import('express').NextFunction} next
+ */
+function authorizeImport(req, res, next) {
+	if (!importApi.isEnabled()) return res.status(403).send({ code: 403, status: "Forbidden", error: "set MIXPANEL_API_SECRET or MIXPANEL_SERVICE_ACCOUNT to use /import" });
+	const auth = importApi.authenticate(req.headers.authorization);
+	if (!auth.ok) return res.status(401).set('WWW-Authenticate', 'Basic realm="import"').send({ code: 401, status: "Unauthorized", error: auth.error });
+	next();
+}
+
+/**
+ * server-side events, like mixpanel's /import: authenticated with the project secret or a service account,
+ * validated strictly (invalid records are reported by index, the rest are delivered), and never enriched with the caller's IP
+ * always delivered synchronously, so callers get the per-record and per-destination results
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ */
+async function handleImport(req, res) {
+	if (!req.body) return res.status(400).send({ code: 400, status: "Bad Request", error: "No data provided" });
+
+	const records = tracing.withSpan('parseSDKData', { 'proxy.endpoint': 'import' }, () => parseRequest(req));
+	metrics.recordParsed('import', records.length);
+	tracing.setAttributes({ 'proxy.records': records.length });
+	if (records.length > IMPORT_MAX_BATCH) return res.status(413).send({ code: 413, status: "Payload Too Large", error: `at most ${IMPORT_MAX_BATCH} records per request; got ${records.length}` });
+
+	const { valid, failed } = importApi.validateRecords(records);
+	if (failed.length) log(`[IMPORT] rejected ${failed.length} of ${records.length} record(s)`);
+	let data = valid;
+	// include token
+	if (MIXPANEL_TOKEN) data.forEach(record => record.properties.token = MIXPANEL_TOKEN);
+
+	const dedupeWindow = dedupe.isEnabled() ? dedupe.getRequestWindow() : null;
+	let duplicates = 0;
+	if (dedupeWindow) {
+		const deduped = dedupe.dropDuplicates(data, dedupeWindow);
+		duplicates = deduped.duplicates.length;
+		if (duplicates) log(`[DEDUPE] dropped ${duplicates} duplicate import record(s)`);
+		data = deduped.unique;
+	}
+
+	let destinations = [];
+	if (data.length) {
+		try {
+			destinations = await sendToDestinations('track', recordsByDestination(data), 'import');
+			if (dedupeWindow) dedupe.remember(data, dedupeWindow);
+		}
+		catch (error) {
+			log(`---- error importing data ---- `, error);
+			return res.status(500).send({ code: 500, status: "Internal Server Error", error: "An error occurred calling /import" });
+		}
+	}
+
+	const code = failed.length ? 400 : 200;
+	const response = { code, status: failed.length ? "Bad Request" : "OK", num_records_imported: data.length, duplicates, failed_records: failed, destinations };
+	res.status(code).send(response);
+	return response;
+}
+
+
+/**
+ * the table (or lake prefix) for a given endpoint
+ * @param  {Endpoints} type
+ */
+function getTableName(type) {
+	if (type === 'track') return TABLE_NAMES.eventTable;
+	if (type === 'engage') return TABLE_NAMES.userTable;
+	if (type === 'groups') return TABLE_NAMES.groupTable;
+	return "";
+}
+
+/**
+ * each destination's readiness (and, with HEALTH_PROBE=true or ?probe=1, a live probe); 503 if a critical destination is unhealthy
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ */
+async function handleHealth(req, res) {
+	const options = req.query.probe === undefined ? {} : { probe: req.query.probe === '1' };
+	const report = await health.checkHealth(activeMiddleware, options);
+	res.status(report.status === 'unhealthy' ? 503 : 200).send({ ...report, version });
+}
+
+/**
+ * the dead-letter routes serve (and re-send) raw records, so they're admins only (see components/admin)
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ */
+async function handleDeadLetterList(req, res) {
+	if (!await adminOnly('dead-letter list', req, res)) return;
+	const batches = await deadLetter.list();
+	res.send(batches);
+}
+
+async function handleDeadLetterGet(req, res) {
+	if (!await adminOnly('dead-letter get', req, res)) return;
+	const batch = await deadLetter.get(req.params.id);
+	if (!batch) return res.status(404).send({ error: `dead letter ${req.params.id} not found` });
+	res.send(batch);
+}
+
+/**
+ * re-sends a dead-lettered batch to its original destination (or ?destination=)
+ * the batch is only removed if the destination accepts it; every re-drive is audited
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ */
+async function handleDeadLetterRedrive(req, res) {
+	const auth = await adminOnly('redrive', req, res);
+	if (!auth) return;
+	const batch = await deadLetter.get(req.params.id);
+	if (!batch) return res.status(404).send({ error: `dead letter ${req.params.id} not found` });
+
+	const name = req.query.destination?.toString()?.toLowerCase() || batch.destination;
+	const target = activeMiddleware.find(m => m.name === name);
+	let invalid = '';
+	if (!target) invalid = `${name} is not an active destination`;
+	else invalid = redriveConflict(batch.destination, name);
+	if (invalid) {
+		await admin.audit({ action: 'redrive', outcome: 'rejected', ip: auth.ip, via: auth.via, details: { id: batch.id, from: batch.destination, destination: name, reason: invalid } });
+		return res.status(400).send({ error: invalid });
+	}
+
+	const details = { id: batch.id, destination: name, type: batch.type, records: batch.records.length };
+	try {
+		log(`---- re-driving dead letter ${batch.id} to ${name} ----`);
+		// an http batch only goes back to the urls which failed
+		const options = name === batch.destination && batch.urls ? { urls: batch.urls } : {};
+		// @ts-ignore
+		const result = await target.api(batch.records, batch.type, TABLE_NAMES, options);
+		// whatever failed again was dead-lettered on its own (result.deadLetter), so this batch is done either way
+		const failed = result?.status === 'error' && !result?.deadLetter;
+		await admin.audit({ action: 'redrive', outcome: failed ? 'failed' : 'done', ip: auth.ip, via: auth.via, details: { ...details, status: result?.status } });
+		if (failed) return res.status(502).send({ name, result });
+		await deadLetter.remove(batch.id);
+		res.send({ name, result });
+	}
+	catch (e) {
+		log(`---- error re-driving dead letter ${batch.id} to ${name} ---- `, e);
+		await admin.audit({ action: 'redrive', outcome: 'failed', ip: auth.ip, via: auth.via, details: { ...details, error: e.message } });
+		res.status(502).send({ name, status: `ERROR: ${e.message}` });
+	}
+}
+
+/**
+ * a dead letter holds the records as its destination was sent them: nested for mixpanel, flattened for everyone else,
+ * and with that destination's privacy rules applied; it can only go to a destination which would have been sent the same records
+ * @param  {string} from the destination which dead-lettered the batch
+ * @param  {string} to i.e. s3
+ * @returns {string} why it can't be re-driven there ('' if it can)
+ */
+function redriveConflict(from, to) {
+	if (from === to) return '';
+	if ((from === 'mixpanel') !== (to === 'mixpanel')) return `${from} batches can't be re-driven to ${to}; mixpanel gets nested records, every other destination flattened ones`;
+	if (privacy.rulesFor(from) !== privacy.rulesFor(to)) return `${from} batches can't be re-driven to ${to}; they have different privacy rules`;
+	return '';
+}
+
+/**
+ * answers (and audits) a request which isn't from an admin
+ * @param  {string} action i.e. redrive
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ * @returns {Promise<import('./components/admin').AdminAuth | null>} null if it was refused
+ */
+async function adminOnly(action, req, res) {
+	const auth = admin.authorize(req);
+	if (auth.ok) return auth;
+	await admin.audit({ action, outcome: 'denied', ip: auth.ip, details: { reason: auth.reason, path: req.path } });
+	res.status(auth.status || 403).send({ error: auth.reason });
+	return null;
+}
 
+/**
+ * drops (or, with ?dry_run=1, lists) the tables in every active destination, or just ?destination=snowflake,s3 and ?entity=users,groups
+ * admins only (see components/admin); every attempt is audited
+ * @param  {import('express').Request} req
+ * @param  {import('express').Response} res
+ */
 async function handleDrop(req, res) {
-	const results = [];
 	if (NODE_ENV === "prod") return res.status(403).send("Cannot drop tables in production");
+	const params = { ...(typeof req.body === 'object' ? req.body : {}), ...req.query };
+	const dryRun = ['1', 'true'].includes(params.dry_run?.toString()?.toLowerCase());
+	const destinations = list(params.destination);
+	const entities = list(params.entity);
+
+	const auth = admin.authorize(req);
+	if (!auth.ok) {
+		await admin.audit({ action: 'drop', outcome: 'denied', ip: auth.ip, details: { reason: auth.reason, dryRun, destinations, entities } });
+		return res.status(auth.status || 403).send({ error: auth.reason });
+	}
 
-	const drops = await Promise.all(activeMiddleware.map(async middleware => {
+	const unknownDestination = destinations.find(name => !activeMiddleware.some(m => m.name === name));
+	const unknownEntity = entities.find(entity => !DROP_ENTITIES[entity]);
+	let invalid = '';
+	if (unknownDestination) invalid = `${unknownDestination} is not an active destination`;
+	else if (unknownEntity) invalid = `${unknownEntity} is not an entity (${Object.keys(DROP_ENTITIES).join(', ')})`;
+	if (invalid) {
+		await admin.audit({ action: 'drop', outcome: 'rejected', ip: auth.ip, via: auth.via, details: { reason: invalid, dryRun, destinations, entities } });
+		return res.status(400).send({ error: invalid });
+	}
+
+	/** @type {Partial<TableNames>} */
+	const tableNames = entities.length ? Object.fromEntries(entities.map(entity => [DROP_ENTITIES[entity], TABLE_NAMES[DROP_ENTITIES[entity]]])) : TABLE_NAMES;
+	const targets = destinations.length ? activeMiddleware.filter(m => destinations.includes(m.name)) : activeMiddleware;
+
+	const results = await Promise.all(targets.map(async middleware => {
 		const { name, api } = middleware;
 		try {
-			log(`---- DROPPING TABLES in ${name?.toUpperCase()} ---- `);
-			const result = await api.drop(TABLE_NAMES);
-			results.push({ name, result });
+			log(`---- ${dryRun ? 'LISTING' : 'DROPPING'} TABLES in ${name?.toUpperCase()} ---- `);
+			const result = await api.drop(tableNames, { dryRun });
 			return { name, result };
 		}
 		catch (e) {
 			log(`---- error dropping in ${name} ---- `, e);
-			results.push({ name, result: e.message });
 			return { name, result: `ERROR: ${e.message}` };
 		}
 	}));
 
+	await admin.audit({ action: 'drop', outcome: 'done', ip: auth.ip, via: auth.via, details: { dryRun, destinations: targets.map(m => m.name), tables: Object.values(tableNames), results } });
 	res.send(results);
 }
 
+/**
+ * a comma-separated (or repeated) query param, lowercased
+ * @param  {any} value
+ * @returns {string[]}
+ */
+function list(value) {
+	return [value].flat().filter(a => a).join(',').split(',').map(item => item.trim().toLowerCase()).filter(a => a);
+}
+
@@ -28,7 +28,7 @@ describe('DATA', () => {
 			body: `data=%7B%22event%22%3A%20%22look%20no%20token!%22%2C%22properties%22%3A%20%7B%22%24os%22%3A%20%22Mac%20OS%20X%22%2C%22%24browser%22%3A%20%22Chrome%22%2C%22%24current_url%22%3A%20%22http%3A%2F%2Flocalhost%3A3000%2F%22%2C%22%24browser_version%22%3A%20122%2C%22%24screen_height%22%3A%201080%2C%22%24screen_width%22%3A%201920%2C%22mp_lib%22%3A%20%22web%22%2C%22%24lib_version%22%3A%20%222.49.0%22%2C%22%24insert_id%22%3A%20%2233x91hx63q5ntr6q%22%2C%22time%22%3A%20${Date.now()}%2C%22distinct_id%22%3A%20%22%24device%3A18dfa623f8414f-0ac97dcee76b58-1d525637-1fa400-18dfa623f8514f%22%2C%22%24device_id%22%3A%20%2218dfa623f8414f-0ac97dcee76b58-1d525637-1fa400-18dfa623f8514f%22%2C%22%24initial_referrer%22%3A%20%22%24direct%22%2C%22%24initial_referring_domain%22%3A%20%22%24direct%22%2C%22token%22%3A%20%22%22%7D%7D`,
 		});
 		const data = await response.json();
-		expect(data.length).toBe(7);
+		expect(data.length).toBe(8);
 
 		let insertedRows, failedRows;
 
@@ -60,6 +60,13 @@ describe('DATA', () => {
 		expect(insertedRows).toBe(1);
 		expect(failedRows).toBe(0);
 
+		const clickhouse = data.find(d => d.name === 'clickhouse');
+		expect(clickhouse).toBeDefined();
+		expect(clickhouse.result.status).toBe('success');
+		({ insertedRows, failedRows } = clickhouse.result);
+		expect(insertedRows).toBe(1);
+		expect(failedRows).toBe(0);
+
 		const gcs = data.find(d => d.name === 'gcs');
 		expect(gcs).toBeDefined();
 		expect(gcs.result.status).toBe('success');
@@ -95,7 +102,7 @@ describe('DATA', () => {
 		});
 		const data = await response.json();
 
-		expect(data.length).toBe(7);
+		expect(data.length).toBe(8);
 
 		let insertedRows, failedRows;
 		const mixpanel = data.find(d => d.name === 'mixpanel');
@@ -126,6 +133,13 @@ describe('DATA', () => {
 		expect(insertedRows).toBe(1);
 		expect(failedRows).toBe(0);
 
+		const clickhouse = data.find(d => d.name === 'clickhouse');
+		expect(clickhouse).toBeDefined();
+		expect(clickhouse.result.status).toBe('success');
+		({ insertedRows, failedRows } = clickhouse.result);
+		expect(insertedRows).toBe(1);
+		expect(failedRows).toBe(0);
+
 
 		const gcs = data.find(d => d.name === 'gcs');
 		expect(gcs).toBeDefined();
@@ -184,7 +198,7 @@ describe('DATA', () => {
 		});
 		const data = await response.json();
 
-		expect(data.length).toBe(7);
+		expect(data.length).toBe(8);
 
 		let insertedRows, failedRows;
 		const mixpanel = data.find(d => d.name === 'mixpanel');
@@ -215,6 +229,13 @@ describe('DATA', () => {
 		expect(insertedRows).toBe(1);
 		expect(failedRows).toBe(0);
 
+		const clickhouse = data.find(d => d.name === 'clickhouse');
+		expect(clickhouse).toBeDefined();
+		expect(clickhouse.result.status).toBe('success');
+		({ insertedRows, failedRows } = clickhouse.result);
+		expect(insertedRows).toBe(1);
+		expect(failedRows).toBe(0);
+
 		const gcs = data.find(d => d.name === 'gcs');
 		expect(gcs).toBeDefined();
 		expect(gcs.result.status).toBe('success');
@@ -248,7 +269,7 @@ describe('DATA', () => {
 		});
 		const data = await response.json();
 
-		expect(data.length).toBe(7);
+		expect(data.length).toBe(8);
 
 		let insertedRows, failedRows;
 		const mixpanel = data.find(d => d.name === 'mixpanel');
@@ -279,6 +300,13 @@ describe('DATA', () => {
 		expect(insertedRows).toBe(1);
 		expect(failedRows).toBe(0);
 
+		const clickhouse = data.find(d => d.name === 'clickhouse');
+		expect(clickhouse).toBeDefined();
+		expect(clickhouse.result.status).toBe('success');
+		({ insertedRows, failedRows } = clickhouse.result);
+		expect(insertedRows).toBe(1);
+		expect(failedRows).toBe(0);
+
 		const gcs = data.find(d => d.name === 'gcs');
 		expect(gcs).toBeDefined();
 		expect(gcs.result.status).toBe('success');
@@ -326,7 +354,7 @@ describe('DATA', () => {
 		});
 
 		const data = await response.json();
-		expect(data.length).toBe(7);
+		expect(data.length).toBe(8);
 
 		let insertedRows, failedRows;
 		const mixpanel = data.find(d => d.name === 'mixpanel');
@@ -357,6 +385,13 @@ describe('DATA', () => {
 		expect(insertedRows).toBe(1);
 		expect(failedRows).toBe(0);
 
+		const clickhouse = data.find(d => d.name === 'clickhouse');
+		expect(clickhouse).toBeDefined();
+		expect(clickhouse.result.status).toBe('success');
+		({ insertedRows, failedRows } = clickhouse.result);
+		expect(insertedRows).toBe(1);
+		expect(failedRows).toBe(0);
+
 		const gcs = data.find(d => d.name === 'gcs');
 		expect(gcs).toBeDefined();
 		expect(gcs.result.status).toBe('success');
@@ -15,11 +15,14 @@ const PARAMS = validateEnv();
 const bigquery = require('../middleware/bigquery');
 const snowflake = require('../middleware/snowflake');
 const redshift = require('../middleware/redshift');
+const postgres = require('../middleware/postgres');
+const clickhouse = require('../middleware/clickhouse');
+const kafka = require('../middleware/kafka');
 const mixpanel = require('../middleware/mixpanel');
 const gcs = require('../middleware/gcs');
 const s3 = require('../middleware/s3');
 const azure = require('../middleware/azure');
-const middleware = { bigquery, snowflake, redshift, mixpanel, gcs, s3, azure };
+const middleware = { bigquery, snowflake, redshift, postgres, clickhouse, kafka, mixpanel, gcs, s3, azure };
 
 
 const timeout = 60000;
@@ -139,6 +142,93 @@ describe('Redshift', () => {
 
 });
 
+describe('Postgres', () => {
+
+	test('postgres: events', async () => {
+		const result = await postgres(e, 'track', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('postgres: users', async () => {
+		const result = await postgres(u, 'engage', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('postgres: groups', async () => {
+		const result = await postgres(g, 'groups', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+});
+
+describe('ClickHouse', () => {
+
+	test('clickhouse: events', async () => {
+		const result = await clickhouse(e, 'track', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('clickhouse: users', async () => {
+		const result = await clickhouse(u, 'engage', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('clickhouse: groups', async () => {
+		const result = await clickhouse(g, 'groups', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+});
+
+describe('Kafka', () => {
+
+	test('kafka: events', async () => {
+		const result = await kafka(e, 'track', tableNames);
+		const { failedRows, insertedRows, status, meta } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+		expect(meta.messages[0].offset).not.toBeNull();
+	}, timeout);
+
+	test('kafka: users', async () => {
+		const result = await kafka(u, 'engage', tableNames);
+		const { failedRows, insertedRows, status, meta } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+		expect(meta.messages[0].key).toBe('foo');
+	}, timeout);
+
+	test('kafka: groups', async () => {
+		const result = await kafka(g, 'groups', tableNames);
+		const { failedRows, insertedRows, status, meta } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+		expect(meta.messages[0].key).toBe('world:foo');
+	}, timeout);
+
+});
+
 describe('Mixpanel', () => {
 
 	test('mixpanel: events', async () => {
@@ -247,4 +337,61 @@ describe('Azure', () => {
 		expect(insertedRows).toBe(1);
 		expect(status).toBe('success');
 	}, timeout);
+});
+
+describe('Lakes (parquet)', () => {
+
+	test('gcs: events', async () => {
+		process.env.LAKE_FORMAT = 'parquet';
+		const result = await gcs(e, 'track', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('s3: events', async () => {
+		process.env.LAKE_FORMAT = 'parquet';
+		const result = await s3(e, 'track', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+
+	test('azure: events', async () => {
+		process.env.LAKE_FORMAT = 'parquet';
+		const result = await azure(e, 'track', tableNames);
+		const { failedRows, insertedRows, status } = result;
+		expect(failedRows).toBe(0);
+		expect(insertedRows).toBe(1);
+		expect(status).toBe('success');
+	}, timeout);
+});
+
+describe('Profile state', () => {
+
+	test('bq: users', async () => {
+		process.env.PROFILE_STATE = 'true';
+		const result = await bigquery(u, 'engage', tableNames);
+		const { status, meta } = result;
+		expect(status).toBe('success');
+		expect(meta.profileState).toMatchObject({ status: 'success', profiles: 1, conflicts: 0 });
+	}, timeout);
+
+	test('snowflake: users', async () => {
+		process.env.PROFILE_STATE = 'true';
+		const result = await snowflake(u, 'engage', tableNames);
+		const { status, meta } = result;
+		expect(status).toBe('success');
+		expect(meta.profileState).toMatchObject({ status: 'success', profiles: 1, conflicts: 0 });
+	}, timeout);
+
+	test('redshift: users', async () => {
+		process.env.PROFILE_STATE = 'true';
+		const result = await redshift(u, 'engage', tableNames);
+		const { status, meta } = result;
+		expect(status).toBe('success');
+		expect(meta.profileState).toMatchObject({ status: 'success', profiles: 1, conflicts: 0 });
+	}, timeout);
 });
\ No newline at end of file
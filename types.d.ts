@@ -10,8 +10,8 @@ export type Runtimes =
   | "LOCAL"
   | string;
 
-export type Warehouse = "REDSHIFT" | "BIGQUERY" | "SNOWFLAKE" | "MIXPANEL";
-export type Lake = "S3" | "GCS" | "AZURE_BLOB";
+export type Warehouse = "REDSHIFT" | "BIGQUERY" | "SNOWFLAKE" | "POSTGRES" | "CLICKHOUSE" | "KAFKA" | "MIXPANEL";
+export type Lake = "S3" | "GCS" | "AZURE_BLOB" | "FILE";
 export type Targets = Warehouse | Lake | string;
 
 export type Endpoints = "track" | "engage" | "groups";
@@ -145,6 +145,10 @@ type RedshiftTypes = "SUPER" | "VARCHAR" | "BOOLEAN" | "INTEGER" | "REAL" | "TIM
 interface SchemaField {
   name: string;
   type: BasicType | BigQueryTypes | SnowflakeTypes | RedshiftTypes;
+  mode?: string;
+  description?: string;
+  property?: string; // promoted columns (SCHEMA_EXTENSIONS): the property this column comes from
+  promoted?: "STRING" | "INTEGER" | "FLOAT" | "BOOLEAN" | "TIMESTAMP" | "JSON"; // ...and its generic type
 }
 
 export type TableNames = {
@@ -165,6 +169,27 @@ export type InsertResult = {
   errorMessage?: string; // Error message if the operation failed
   meta?: any; // Additional metadata
   message?: string; // Message from the operation
+  failedRecords?: object[]; // records which were rejected (to be dead-lettered)
+  deadLetter?: string; // the dead letter id of any rejected records
+};
+
+export type DeadLetterMeta = {
+  id: string; // the dead letter id
+  destination: Targets; // the middleware which failed
+  type: Endpoints; // the endpoint the records came from
+  table: string; // the table (or prefix) the records were meant for
+  error: string; // the last error message
+  attempts: number; // how many times the insert was attempted
+  failed_at: string; // ISO timestamp
+  urls?: string[]; // (http) the urls which failed; a re-drive only sends to these
+  records?: number | object[];
+};
+
+export type DeliverySettings = {
+  concurrency: number; // batches in flight at once, per destination
+  batchSize: number; // max records per insert
+  maxRetries: number; // attempts before a batch is dead-lettered
+  backoff: number; // base backoff in ms (doubles every attempt)
 };
 
 export type MiddlewareResponse = {
@@ -212,6 +237,48 @@ export type RedshiftVars = {
   redshift_session_token?: string;
 };
 
+export type PostgresVars = {
+  postgres_host?: string;
+  postgres_port?: string;
+  postgres_user?: string;
+  postgres_password?: string;
+  postgres_database?: string;
+  postgres_schema?: string;
+  postgres_ssl?: string;
+  postgres_connection_string?: string;
+};
+
+export type ClickHouseVars = {
+  clickhouse_url: string;
+  clickhouse_database: string;
+  clickhouse_user?: string;
+  clickhouse_password?: string;
+};
+
+export type KafkaVars = {
+  kafka_brokers: string; // comma-separated host:port list
+  kafka_client_id?: string;
+  kafka_ssl?: string;
+  kafka_sasl_mechanism?: "plain" | "scram-sha-256" | "scram-sha-512";
+  kafka_sasl_username?: string;
+  kafka_sasl_password?: string;
+  kafka_retries?: string;
+};
+
+export type HttpVars = {
+  http_urls: string; // comma-separated
+  http_format?: "json" | "ndjson";
+  http_gzip?: string;
+  http_secret?: string; // signs each body with HMAC-SHA256
+  http_headers?: string; // a JSON object of extra headers
+  http_timeout?: string; // ms
+};
+
+export type FileVars = {
+  file_dir?: string;
+  file_format?: "parquet" | "ndjson";
+};
+
 export type GCSVars = {
   gcs_project: string;
   gcs_bucket: string;
@@ -244,14 +311,55 @@ export type CommonVars = {
   MAX_RETRIES: number;
   DESTINATIONS: string;
   MAX_RETRIES: number;
-  FRONTEND_URL: string;
+  FRONTEND_URL: string; // comma-separated origins, i.e. https://example.com,https://*.example.com
+  CORS_ALLOWED_HEADERS?: string;
+  CORS_MAX_AGE?: number;
   QUEUE_MAX: number;
   QUEUE_INTERVAL: number;
   EVENTS_TABLE_NAME: string;
   USERS_TABLE_NAME: string;
   GROUPS_TABLE_NAME: string;
   TIMEOUT: number;
+  LAKE_FORMAT?: "json" | "parquet";
+  LAKE_KEY_TEMPLATE?: string; // i.e. {table}/dt={date}/hour={hour}/part-{uuid}.{ext}
+  PROFILE_STATE?: "true" | "false";
+  LAKE_ROLLOVER_BYTES?: number;
+  LAKE_ROLLOVER_SECONDS?: number;
+  SHUTDOWN_TIMEOUT_MS?: number;
+  SCHEMA_EXTENSIONS?: string; // a .json / .yaml file, or inline JSON
+  SCHEMA_EVOLUTION?: "additive" | "strict" | "off";
+  SCHEMA_MIGRATIONS_TABLE?: string;
+  DEDUPE?: "true" | "false";
+  DEDUPE_WINDOW?: number;
+  DEDUPE_WINDOW_SECONDS?: number;
+  MIXPANEL_API_SECRET?: string;
+  MIXPANEL_SERVICE_ACCOUNT?: string; // username:secret
+  MIXPANEL_PROJECT_ID?: string;
+  IMPORT_MAX_BATCH?: number;
+  MAX_BODY_BYTES?: number;
+  HEALTH_PROBE?: "true" | "false";
+  HEALTH_PROBE_TIMEOUT_MS?: number;
+  HEALTH_CACHE_SECONDS?: number;
+  HEALTH_CRITICAL?: string; // i.e. bigquery,s3 (or none)
+  OTEL_EXPORTER_OTLP_ENDPOINT?: string; // i.e. http://localhost:4318
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT?: string;
+  OTEL_SERVICE_NAME?: string;
+  INGEST_AUTH?: string; // i.e. token,api_key,hmac
+  ALLOWED_TOKENS?: string;
+  INGEST_API_KEYS?: string; // client:key,...
+  INGEST_HMAC_SECRETS?: string; // client:secret,...
+  INGEST_HMAC_SKEW_SECONDS?: number;
+  RATE_LIMIT_IP_RPS?: number;
+  RATE_LIMIT_IP_BURST?: number;
+  RATE_LIMIT_TOKEN_RPS?: number;
+  RATE_LIMIT_TOKEN_BURST?: number;
+  RATE_LIMIT_STORE?: string; // a module exporting a store
+  ADMIN_TOKEN?: string;
+  ADMIN_IP_ALLOWLIST?: string; // IPs or CIDRs
+  ADMIN_AUDIT_LOG?: string;
+  PRIVACY_RULES?: string; // a .json / .yaml file, or inline JSON
+  PRIVACY_SALT?: string;
   [key: string]: string
 };
 
-export type EnvVars = BigQueryVars & SnowflakeVars & RedshiftVars & GCSVars & CommonVars;
+export type EnvVars = BigQueryVars & SnowflakeVars & RedshiftVars & PostgresVars & ClickHouseVars & KafkaVars & HttpVars & FileVars & GCSVars & CommonVars;